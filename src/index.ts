@@ -8,6 +8,7 @@ export type Value =
   | null
   | undefined
   | Value[]
+  | SafeString
   | { [k: string]: Value };
 
 /**
@@ -15,6 +16,24 @@ export type Value =
  */
 export type TemplateData = { [k: string]: Value };
 
+/**
+ * A string of trusted HTML (or other output) that is rendered without
+ * escaping. Create one with safe().
+ */
+export class SafeString {
+  constructor(readonly value: string) {}
+  toString() {
+    return this.value;
+  }
+}
+
+/**
+ * A message catalog for one locale, see registerMessages(). Messages use ICU
+ * MessageFormat syntax and can be grouped into nested objects, which are
+ * looked up with dotted keys like "cart.title".
+ */
+export type Messages = { [key: string]: string | Messages };
+
 /**
  * A compiled template function. Call with data to render the template.
  */
@@ -29,8 +48,228 @@ export type Template<T = TemplateData> = (data: T) => string;
  */
 export type CustomFn = (...args: Value[]) => Value;
 
-/** Internal function signature - receives context and unevaluated expressions */
-type Fn = (ctx: TemplateData, ...args: Expr[]) => Value;
+/**
+ * A compiled template that renders asynchronously, see compileAsync().
+ */
+export type AsyncTemplate<T = TemplateData> = (data: T) => Promise<string>;
+
+/**
+ * Output of renderStream(): an async iterable of rendered chunks, which can
+ * also be turned into a ReadableStream of UTF-8 bytes (e.g. for a Response).
+ * Rendering starts when iteration does, and each iteration renders again.
+ */
+export type TemplateStream = AsyncIterable<string> & {
+  toReadableStream: () => ReadableStream<Uint8Array>;
+};
+
+/**
+ * A custom function that may return a promise. Promises are awaited when
+ * rendering with renderAsync() or compileAsync().
+ * @example
+ * registerFunction("t", async (key) => (await loadMessages())[key]);
+ * await renderAsync('{{ t("greeting") }}', {}) // "Hello"
+ */
+export type AsyncCustomFn = (...args: Value[]) => Value | Promise<Value>;
+
+/**
+ * Renders one of a custom block's bodies with the block's scope, plus any
+ * data passed in, to a SafeString as it is already escaped. Returns a promise
+ * when rendering with renderAsync() or renderStream(), so handlers used there
+ * should await it.
+ */
+export type BlockBody = (
+  data?: TemplateData,
+) => SafeString | Promise<SafeString>;
+
+/**
+ * A custom block that can be registered with registerBlock(). Receives the
+ * evaluated args, and the block's named args and bodies: the body itself, the
+ * {{:else}} body (rendering "" if there is none) and the {{:slot name}}
+ * bodies. What it returns is escaped like an interpolation unless it is a
+ * SafeString, so output built from the bodies should be wrapped in safe().
+ * @example
+ * registerBlock("repeat", ([n], { body }) =>
+ *   safe(Array.from({ length: Number(n) }, (_, i) => body({ i })).join("")),
+ * );
+ * render("{{#repeat 3}}{{ i }}{{/repeat}}", {}) // "012"
+ */
+export type BlockHandler = (
+  args: Value[],
+  block: {
+    body: BlockBody;
+    else: BlockBody;
+    slots: { [name: string]: BlockBody };
+    params: TemplateData;
+  },
+) => Value | Promise<Value>;
+
+/**
+ * Budgets for rendering untrusted templates, see the limits option. A render
+ * that runs over one is aborted with a TemplateError whose code names it,
+ * like "ITERATION_LIMIT" (or with an inline marker, see mode).
+ */
+export type Limits = {
+  /** Maximum length of the rendered output, in characters */
+  output?: number;
+  /** Maximum #each iterations in one render, across all loops */
+  iterations?: number;
+  /** Maximum nesting of blocks, loops and partials while rendering */
+  depth?: number;
+  /** Maximum expression evaluations (variables, calls, operators) in one render */
+  evaluations?: number;
+  /** Maximum render time, in milliseconds */
+  time?: number;
+  /** Maximum length of the template source, checked when compiling */
+  size?: number;
+  /** Maximum nesting of blocks and expressions in the template source */
+  nesting?: number;
+  /** "throw" (default) a TemplateError, or render an "inline" [Error: ...] instead of the output */
+  mode?: "throw" | "inline";
+};
+
+/**
+ * Options that change how templates are compiled and rendered. Set them for a
+ * whole environment with createEnvironment(), or per template with compile().
+ */
+export type Options = {
+  /** Maximum partial and macro nesting depth before rendering bails out (default 100) */
+  maxDepth?: number;
+  /** Throw a TemplateError instead of rendering inline "[Error: ...]" text */
+  strict?: boolean;
+  /** Drop the line of a block tag that sits alone on its line */
+  trimBlocks?: boolean;
+  /** Tag delimiters, e.g. ["[[", "]]"] (default ["{{", "}}"]) */
+  delimiters?: [string, string];
+  /** Escape each interpolation for the HTML context it sits in (HTML escaping only) */
+  contextual?: boolean;
+  /** How interpolations are escaped: "html" (default), "none", "markdown", or a function */
+  escape?: "html" | "none" | "markdown" | ((s: string) => string);
+  /** Locale of the formatting functions, e.g. "de-DE" (default: the runtime's) */
+  locale?: string;
+  /** Time zone dates are shown in, e.g. "UTC" (default: the runtime's) */
+  timeZone?: string;
+  /** Locale whose messages t() falls back to when the locale has no match */
+  fallbackLocale?: string;
+  /**
+   * What t() renders for a key missing from every catalog: "error" (default,
+   * a MISSING_MESSAGE error), "key" (the key itself), or a function's result
+   */
+  missingMessage?: "error" | "key" | ((key: string, locale: string) => string);
+  /** Budgets that abort rendering of runaway templates */
+  limits?: Limits;
+  /** Functions templates may call (allow) or not (deny), checked when compiling */
+  functions?: { allow?: string[]; deny?: string[] };
+  /** Data paths like "user.name" the template can see; the rest is left out */
+  paths?: string[];
+  /** Pass the data to templates and functions as read-only views */
+  readOnly?: boolean;
+};
+
+/**
+ * Returns the 1-based line and column of an offset into src.
+ */
+const lineCol = (src: string, at: number): [number, number] => {
+  const lines = src.slice(0, at).split("\n");
+  return [lines.length, lines[lines.length - 1].length + 1];
+};
+
+/**
+ * Thrown for template problems when the strict option is set. Carries a
+ * stable code and the location of the problem in the template source.
+ * @example
+ * try {
+ *   render("{{ foo() }}", {}, { strict: true });
+ * } catch (e) {
+ *   e.code // "UNKNOWN_FUNCTION"
+ *   e.line // 1
+ *   e.column // 4
+ * }
+ */
+export class TemplateError extends Error {
+  /** Machine-readable error code, e.g. "UNKNOWN_FUNCTION" */
+  code: string;
+  /** 1-based line of the problem in the template source */
+  line?: number;
+  /** 1-based column of the problem in the template source */
+  column?: number;
+  /** The source line of the problem, with a caret marking the column */
+  excerpt?: string;
+
+  constructor(code: string, message: string, src?: string, at?: number) {
+    super(message);
+    this.name = "TemplateError";
+    this.code = code;
+    if (src !== undefined && at !== undefined) this.locate(src, at);
+  }
+
+  /** Attaches the line, column and excerpt for an offset into src */
+  locate(src: string, at: number): void {
+    [this.line, this.column] = lineCol(src, at);
+    const text = src.split("\n")[this.line - 1];
+    this.excerpt = text + "\n" + " ".repeat(this.column - 1) + "^";
+    this.message += ` (line ${this.line}, column ${this.column})`;
+  }
+}
+
+/** Internal function signature - receives scope and unevaluated expressions */
+type Fn = (ctx: Scope, ...args: Expr[]) => Value;
+
+/** Internal environment: function, block, partial and message registries plus options */
+type Env = {
+  fns: { [k: string]: Fn };
+  blocks: { [k: string]: BlockHandler };
+  partials: { [k: string]: Template };
+  messages: { [locale: string]: Messages };
+  options: Options;
+};
+
+/**
+ * Internal render scope: the data in view, the environment rendering it, the
+ * source that node offsets point into, and the current partial nesting depth.
+ */
+type Scope = {
+  data: TemplateData;
+  env: Env;
+  src: string;
+  depth: number;
+  /** Metadata of the innermost #each being rendered */
+  loop?: TemplateData;
+  /** What is left of the render's limits, shared by all of its scopes */
+  budget?: Budget;
+  /** Nesting of the body being rendered, for the depth limit */
+  nest?: number;
+  /** Macros of the template being rendered */
+  macros?: Macros;
+};
+
+/**
+ * Macros defined in a template (with the source each was parsed from), and
+ * the registered templates it imports macros from, by alias.
+ */
+type Macros = {
+  defs: { [name: string]: [Extract<Node, { t: "D" }>, string] };
+  imports: { [as: string]: string };
+};
+
+/** Remaining render budgets, and the time the render must end by */
+type Budget = {
+  output: number;
+  iterations: number;
+  evaluations: number;
+  deadline: number;
+};
+
+/**
+ * Internal parse problem reporter - receives an error code, message, offset,
+ * and whether the problem is only a warning (suspicious but valid syntax)
+ */
+type Report = (code: string, msg: string, at: number, warn?: boolean) => void;
+
+/**
+ * Source position of an AST node or expression: start and end offsets into
+ * the template source (end exclusive), and the 1-based line and column of start.
+ */
+export type Pos = { start: number; end: number; line: number; column: number };
 
 /**
  * AST Node types:
@@ -38,32 +277,87 @@ type Fn = (ctx: TemplateData, ...args: Expr[]) => Value;
  * - I (Interpolation): Expression to evaluate and output (raw flag skips HTML escaping)
  * - F (Flow): Conditional with branches and optional else
  * - E (Each): Loop over array with item alias, optional index, and optional else
+ * - R (Partial): Render a registered partial with optional context and named params
+ * - B (Block): Named region that a child template can override via #extends
+ * - X (Extends): Marks a child template, resolved against its base at compile time
+ * - S (Source): Body parsed from another template. Only created by compile when
+ *   resolving #extends, so that errors are located in the right source
+ * - D (Define): Macro with named params (and optional defaults), see K
+ * - U (Import): Makes the macros of a registered template callable as alias.name
+ * - K (Call): Render a macro with positional args and named values
+ * - H (Helper): Custom block from registerBlock, with args, named args, body,
+ *   named slots and optional else
  */
-type Node =
-  | { t: "T"; val: string }
-  | { t: "I"; expr: Expr; raw?: 1 }
-  | { t: "F"; branches: { cond: Expr; body: Node[] }[]; else?: Node[] }
-  | {
-      t: "E";
-      arr: Expr;
-      as: string;
-      idx?: string;
-      body: Node[];
-      else?: Node[];
-    };
+export type Node =
+  | (Pos &
+      (
+        | { t: "T"; val: string }
+        | { t: "I"; expr: Expr; raw?: 1; cx?: string[] }
+        | { t: "F"; branches: { cond: Expr; body: Node[] }[]; else?: Node[] }
+        | {
+            t: "E";
+            arr: Expr;
+            as: string;
+            idx?: string;
+            body: Node[];
+            else?: Node[];
+          }
+        | { t: "R"; name: string; ctx?: Expr; params: [string, Expr][] }
+        | { t: "B"; name: string; body: Node[] }
+        | { t: "X"; name: string }
+        | { t: "M"; val: string; long?: 1 }
+        | {
+            t: "D";
+            name: string;
+            params: [string, Expr | undefined][];
+            body: Node[];
+          }
+        | { t: "U"; name: string; as: string }
+        | { t: "K"; name: string; args: Expr[]; params: [string, Expr][] }
+        | {
+            t: "H";
+            name: string;
+            args: Expr[];
+            params: [string, Expr][];
+            body: Node[];
+            slots: { name: string; body: Node[] }[];
+            else?: Node[];
+          }
+      ))
+  | { t: "S"; src: string; body: Node[] };
 
 /**
  * Expression types:
  * - L (Literal): String, number, boolean, or null
  * - V (Variable): Dot-separated path like "user.name"
  * - C (Call): Function call like eq(a, b)
- * - P (Pipe): Piped expression like "value | lowercase"
+ * - P (Pipe): Piped expression like "value | lowercase", where at is the
+ *   offset of the piped function's name
+ */
+export type Expr = Pos &
+  (
+    | { t: "L"; val: Value }
+    | { t: "V"; path: string[] }
+    | { t: "C"; fn: string; args: Expr[] }
+    | { t: "P"; left: Expr; fn: string; args: Expr[]; at: number }
+    | { t: "G"; obj: Expr; key: Expr }
+    | { t: "O"; op: string; args: Expr[] }
+  );
+
+/** Version of the AST format returned by parse(), bumped on breaking changes */
+export const AST_VERSION = 1;
+
+/**
+ * A parsed template, as returned by parse() and accepted by print().
+ */
+export type TemplateAST = { version: number; body: Node[] };
+
+/**
+ * A template compiled ahead of time, as returned by precompile() (after
+ * JSON.parse) and accepted by hydrate(): its AST, ready to render, and the
+ * source that error locations point into.
  */
-type Expr =
-  | { t: "L"; val: Value }
-  | { t: "V"; path: string[] }
-  | { t: "C"; fn: string; args: Expr[] }
-  | { t: "P"; left: Expr; fn: string; args: Expr[] };
+export type PrecompiledTemplate = TemplateAST & { src: string };
 
 /**
  * Determines if a value is "truthy" for conditionals.
@@ -79,6 +373,7 @@ const truthy = (v: Value): boolean =>
     v === false ||
     v === 0 ||
     v === "" ||
+    (v instanceof SafeString && !v.value) ||
     Number.isNaN(v) ||
     (Array.isArray(v) && v.length === 0) ||
     (typeof v === "object" &&
@@ -87,30 +382,453 @@ const truthy = (v: Value): boolean =>
       Object.keys(v).length === 0)
   );
 
+/**
+ * Reports a render error. Throws a TemplateError in strict mode, otherwise
+ * returns the inline "[Error: ...]" string to render in its place.
+ * Errors without an offset are located by the enclosing call in ev.
+ */
+const fail = (ctx: Scope, code: string, msg: string, at?: number): string => {
+  if (ctx.env.options.strict) throw new TemplateError(code, msg, ctx.src, at);
+  return `[Error: ${msg}]`;
+};
+
+/** Error for a limit that ran out, e.g. "ITERATION_LIMIT" for iterations */
+const overLimit = (limit: string, src?: string, at?: number): TemplateError => {
+  const name = limit.replace(/s$/, "");
+  return new TemplateError(
+    name.toUpperCase() + "_LIMIT",
+    `${name} limit exceeded`,
+    src,
+    at,
+  );
+};
+
+/** Starts the budget of one render, if the options set any limits */
+const budget = ({ limits: l }: Options): Budget | undefined =>
+  l && {
+    output: l.output ?? Infinity,
+    iterations: l.iterations ?? Infinity,
+    evaluations: l.evaluations ?? Infinity,
+    deadline: l.time === undefined ? Infinity : Date.now() + l.time,
+  };
+
+/**
+ * Spends n of a render budget. Aborts the render by throwing once the budget
+ * runs out or the time limit has passed, whatever the strict option says.
+ */
+const spend = (
+  ctx: Scope,
+  limit: "output" | "iterations" | "evaluations",
+  n: number,
+  at?: number,
+): void => {
+  const b = ctx.budget;
+  if (!b) return;
+  if ((b[limit] -= n) < 0) throw overLimit(limit, ctx.src, at);
+  if (b.deadline < Infinity && Date.now() > b.deadline)
+    throw overLimit("time", ctx.src, at);
+};
+
+/**
+ * The scope to render a nested body with, checked against the depth limit.
+ * Errors are located at the first node of the body that is too deep.
+ */
+const nested = (ctx: Scope, body: Node[]): Scope => {
+  if (!ctx.budget) return ctx;
+  const nest = (ctx.nest || 0) + 1;
+  if (nest > (ctx.env.options.limits?.depth ?? Infinity)) {
+    const n = body.find((n): n is Node & Pos => n.t !== "S");
+    throw overLimit("depth", ctx.src, n ? n.start : 0);
+  }
+  spend(ctx, "output", 0); // checks the time limit
+
+  return { ...ctx, nest };
+};
+
+/**
+ * Handles an error that aborted a render or compile. With the inline limits
+ * mode, an exceeded limit becomes the [Error: ...] text to render instead of
+ * the output; anything else is rethrown.
+ */
+const aborted = (e: unknown, options: Options): string => {
+  if (
+    e instanceof TemplateError &&
+    e.code.endsWith("_LIMIT") &&
+    options.limits?.mode === "inline"
+  )
+    return `[Error: ${e.message}]`;
+  throw e;
+};
+
+/**
+ * Applies a string function to v, keeping it a SafeString if it was one.
+ */
+const keep = (v: Value, f: (s: string) => string): Value =>
+  v instanceof SafeString ? new SafeString(f(v.value)) : f(String(v));
+
+/**
+ * Reads a dotted key like "author.name" from v, or returns v itself when
+ * there is no key. Used by the collection functions to reach into items.
+ */
+const pathOf = (v: Value, key: Value): Value =>
+  key == null || key === "" ? v : String(key).split(".").reduce(member, v);
+
+/**
+ * The numbers in the array of a sum/min/max call, or at its key in each
+ * item. Empty and non-numeric values are skipped.
+ */
+const numbers = (ctx: Scope, a: Expr[]): number[] => {
+  const r = ev(a[0], ctx),
+    key = a[1] && ev(a[1], ctx);
+  return (Array.isArray(r) ? r : [r])
+    .map((x) => pathOf(x, key))
+    .filter((x) => x != null && x !== "")
+    .map(Number)
+    .filter((n) => !Number.isNaN(n));
+};
+
+/**
+ * Runs an Intl formatter, reporting the RangeError it throws for a bad
+ * locale, currency code, time zone or option as a render error.
+ */
+const intl = (ctx: Scope, f: () => string): string => {
+  try {
+    return f();
+  } catch (e) {
+    if (e instanceof TemplateError) throw e;
+    return fail(ctx, "FORMAT_ERROR", (e as Error).message);
+  }
+};
+
+/**
+ * Number format options from a template argument: a count of fraction
+ * digits, or an object of Intl.NumberFormat options.
+ */
+const numberOptions = (v: Value): Intl.NumberFormatOptions =>
+  typeof v === "number"
+    ? { minimumFractionDigits: v, maximumFractionDigits: v }
+    : v && typeof v === "object" && !Array.isArray(v)
+      ? (v as Intl.NumberFormatOptions)
+      : {};
+
+/** Reads a date from an ISO string, epoch milliseconds, or a Date */
+const toDate = (v: unknown): Date | undefined => {
+  const d =
+    typeof v === "string" || typeof v === "number" || v instanceof Date
+      ? new Date(v)
+      : undefined;
+  return d && !Number.isNaN(d.getTime()) ? d : undefined;
+};
+
+/** Date pattern tokens, as [Intl.DateTimeFormat field, style] */
+const dateTokens: { [k: string]: [string, string] } = {
+  yyyy: ["year", "numeric"],
+  yy: ["year", "2-digit"],
+  MMMM: ["month", "long"],
+  MMM: ["month", "short"],
+  MM: ["month", "2-digit"],
+  M: ["month", "numeric"],
+  dd: ["day", "2-digit"],
+  d: ["day", "numeric"],
+  EEEE: ["weekday", "long"],
+  EEE: ["weekday", "short"],
+  HH: ["hour", "2-digit"],
+  H: ["hour", "numeric"],
+  hh: ["hour", "2-digit"],
+  h: ["hour", "numeric"],
+  mm: ["minute", "2-digit"],
+  ss: ["second", "2-digit"],
+  a: ["dayPeriod", "numeric"],
+};
+
+/**
+ * Formats a date with a pattern like "yyyy-MM-dd HH:mm". Each token is
+ * formatted by Intl on its own, so names follow the locale; text in single
+ * quotes is copied as is.
+ */
+const datePattern = (d: Date, pattern: string, o: Options): string =>
+  pattern.replace(/'([^']*)'|([yMdEHhmsa])\2*/g, (m, quoted) => {
+    if (quoted !== undefined) return quoted;
+    const token = dateTokens[m];
+    if (!token) return m;
+    const [field, style] = token;
+    const hour = field === "hour" || field === "dayPeriod";
+    const parts = new Intl.DateTimeFormat(o.locale, {
+      timeZone: o.timeZone,
+      [hour ? "hour" : field]: style,
+      ...(hour && { hourCycle: m[0] === "H" ? "h23" : "h12" }),
+    }).formatToParts(d);
+    const v = parts.find((p) => p.type === field)?.value ?? "";
+    return style === "2-digit" ? v.padStart(2, "0") : v;
+  });
+
+/** Units picked by relativeTime for a date, with their length in seconds */
+const timeUnits: [Intl.RelativeTimeFormatUnit, number][] = [
+  ["year", 31557600],
+  ["month", 2629800],
+  ["week", 604800],
+  ["day", 86400],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1],
+];
+
+/** Intl.ListFormat, which is newer than the lib this is compiled against */
+const ListFormat = (
+  Intl as unknown as {
+    ListFormat: new (
+      locale?: string,
+      o?: { type: string },
+    ) => { format: (items: string[]) => string };
+  }
+).ListFormat;
+
+/**
+ * Parsed ICU message: text, and arguments like {name}, {n, number} or
+ * {n, plural, one {...} other {...}}. A "#" argument is the plural count.
+ */
+type Msg = (string | MsgArg)[];
+type MsgArg = {
+  name: string;
+  type?: string;
+  style?: string;
+  offset?: number;
+  opts?: { [k: string]: Msg };
+};
+
+/** Parsed messages by source, as catalogs are only parsed once */
+const msgs = new Map<string, Msg>();
+
+/**
+ * Parses an ICU message. Throws an Error describing the first problem.
+ * Quoting follows ICU: '' is an apostrophe, and an apostrophe before a
+ * brace (or # in a plural) starts literal text up to the next one.
+ */
+const parseMessage = (s: string): Msg => {
+  let i = 0;
+  const bad = (msg: string): never => {
+    throw new Error(msg);
+  };
+  const ws = () => {
+    while (/\s/.test(s[i])) i++;
+  };
+  const word = (): string => {
+    ws();
+    const w = /^[^\s,{}]*/.exec(s.slice(i))![0];
+    if (!w) bad(i < s.length ? `unexpected ${s[i]}` : "missing }");
+    i += w.length;
+    ws();
+    return w;
+  };
+
+  const text = (plural: boolean, nested: boolean): Msg => {
+    const out: Msg = [];
+    let buf = "";
+    while (i < s.length && !(nested && s[i] === "}")) {
+      const c = s[i++];
+      if (c === "'" && s[i] === "'") {
+        buf += "'";
+        i++;
+      } else if (c === "'" && /[{}#]/.test(s[i])) {
+        const j = s.indexOf("'", i);
+        buf += s.slice(i, j < 0 ? s.length : j);
+        i = j < 0 ? s.length : j + 1;
+      } else if (c === "}") bad("unexpected }");
+      else if (c === "{" || (c === "#" && plural)) {
+        if (buf) out.push(buf);
+        buf = "";
+        out.push(c === "#" ? { name: "#" } : arg(plural));
+      } else buf += c;
+    }
+    if (buf) out.push(buf);
+    return out;
+  };
+
+  const arg = (plural: boolean): MsgArg => {
+    const a: MsgArg = { name: word() };
+    if (s[i] === ",") {
+      i++;
+      a.type = word();
+      if (!/^(number|date|time|plural|select|selectordinal)$/.test(a.type))
+        bad(`unknown type ${a.type}`);
+      const forms = /^(plural|select|selectordinal)$/.test(a.type);
+      if (forms && s[i++] !== ",") bad(`missing forms for ${a.name}`);
+      if (a.type === "select") a.opts = options(plural);
+      else if (forms) {
+        ws();
+        const m = /^offset:\s*(\d+)/.exec(s.slice(i));
+        if (m) i += m[0].length;
+        a.offset = m ? Number(m[1]) : 0;
+        a.opts = options(true);
+      } else if (s[i] === ",") {
+        const j = s.indexOf("}", ++i);
+        a.style = s.slice(i, j < 0 ? s.length : j).trim();
+        i = j < 0 ? s.length : j;
+      }
+    }
+    if (s[i++] !== "}") bad(`missing } after ${a.name}`);
+    return a;
+  };
+
+  // The {...} forms of a plural or select, by selector
+  const options = (plural: boolean): { [k: string]: Msg } => {
+    const opts: { [k: string]: Msg } = {};
+    for (ws(); i < s.length && s[i] !== "}"; ws()) {
+      const k = word();
+      if (s[i++] !== "{") bad(`missing { after ${k}`);
+      opts[k] = text(plural, true);
+      if (s[i++] !== "}") bad("missing }");
+    }
+    if (!has(opts, "other")) bad("missing other");
+    return opts;
+  };
+
+  return text(false, false);
+};
+
+/**
+ * Formats a parsed message with params in a locale. Arguments are read from
+ * params by name (or dotted path), and n is the count "#" stands for.
+ */
+const formatMessage = (
+  m: Msg,
+  params: Value,
+  locale: string,
+  o: Options,
+  n?: number,
+): string =>
+  m
+    .map((p) => {
+      if (typeof p === "string") return p;
+      if (p.name === "#") return new Intl.NumberFormat(locale).format(n!);
+      const v = pathOf(params, p.name);
+      const opts = p.opts || {},
+        pick = (k: string) => (has(opts, k) ? opts[k] : undefined);
+      const sub = (m: Msg | undefined, n?: number) =>
+        formatMessage(m || opts.other, params, locale, o, n);
+      switch (p.type) {
+        case "plural":
+        case "selectordinal": {
+          const k = Number(v) - p.offset!;
+          const type = p.type === "plural" ? "cardinal" : "ordinal";
+          const rule = new Intl.PluralRules(locale, { type }).select(k);
+          return sub(pick("=" + Number(v)) ?? pick(rule), k);
+        }
+        case "select":
+          return sub(pick(String(v)), n);
+        case "number":
+          return new Intl.NumberFormat(
+            locale,
+            p.style === "percent"
+              ? { style: "percent" }
+              : p.style === "integer"
+                ? { maximumFractionDigits: 0 }
+                : {},
+          ).format(Number(v));
+        case "date":
+        case "time": {
+          const d = toDate(v);
+          const style = (p.style ||
+            "medium") as Intl.DateTimeFormatOptions["dateStyle"];
+          return d
+            ? new Intl.DateTimeFormat(locale, {
+                [p.type + "Style"]: style,
+                timeZone: o.timeZone,
+              }).format(d)
+            : String(v ?? "");
+        }
+      }
+      return String(v ?? "");
+    })
+    .join("");
+
+/**
+ * The locales t() looks for a message in: the locale option (or the runtime's
+ * locale), then its less specific forms ("de-CH", "de"), then the same for
+ * fallbackLocale.
+ */
+const localeChain = (o: Options): string[] =>
+  [
+    o.locale || new Intl.NumberFormat().resolvedOptions().locale,
+    o.fallbackLocale,
+  ].flatMap((l) =>
+    (l ? l.split("-") : []).map((_, i, tags) =>
+      tags.slice(0, tags.length - i).join("-"),
+    ),
+  );
+
+/**
+ * Minimum argument counts of built-in functions, checked by ck at render time
+ * and by validate() ahead of time.
+ */
+const arity: { [k: string]: number } = {
+  eq: 2,
+  ne: 2,
+  gt: 2,
+  lt: 2,
+  gte: 2,
+  lte: 2,
+  not: 1,
+  truncate: 2,
+  replace: 3,
+  limit: 2,
+  first: 1,
+  last: 1,
+  length: 1,
+  join: 2,
+  default: 2,
+  escape: 2,
+  number: 1,
+  currency: 2,
+  percent: 1,
+  date: 1,
+  relativeTime: 1,
+  list: 1,
+  plural: 2,
+  t: 1,
+  sort: 1,
+  where: 2,
+  pluck: 2,
+  groupBy: 2,
+  uniq: 1,
+  reverse: 1,
+  slice: 2,
+  sum: 1,
+  min: 1,
+  max: 1,
+  chunk: 2,
+  range: 1,
+};
+
+/** Longest list range() makes, so one tag can't use up the memory */
+const maxRange = 100000;
+
 /**
  * Argument count checker. Returns error string if not enough args, null otherwise.
- * Used by functions that require a minimum number of arguments.
+ * Used by functions that require a minimum number of arguments (see arity).
  */
-const ck = (a: Expr[], n: number, name: string): string | null =>
-  a.length < n ? `[Error: ${name}() needs ${n} args]` : null;
+const ck = (ctx: Scope, a: Expr[], name: string): string | null =>
+  a.length < arity[name]
+    ? fail(ctx, "MISSING_ARGS", `${name}() needs ${arity[name]} args`)
+    : null;
 
 /**
- * Registry of all available functions (built-in and custom).
- * Functions receive the context and unevaluated expressions, allowing
+ * Built-in functions, copied into the registry of every environment.
+ * Functions receive the scope and unevaluated expressions, allowing
  * short-circuit evaluation (e.g., and/or don't evaluate all args).
  */
 const fns: { [k: string]: Fn } = {
   // Comparison (return boolean)
-  eq: (ctx, ...a) => ck(a, 2, "eq") ?? ev(a[0], ctx) === ev(a[1], ctx),
-  ne: (ctx, ...a) => ck(a, 2, "ne") ?? ev(a[0], ctx) !== ev(a[1], ctx),
+  eq: (ctx, ...a) => ck(ctx, a, "eq") ?? ev(a[0], ctx) === ev(a[1], ctx),
+  ne: (ctx, ...a) => ck(ctx, a, "ne") ?? ev(a[0], ctx) !== ev(a[1], ctx),
   gt: (ctx, ...a) =>
-    ck(a, 2, "gt") ?? Number(ev(a[0], ctx)) > Number(ev(a[1], ctx)),
+    ck(ctx, a, "gt") ?? Number(ev(a[0], ctx)) > Number(ev(a[1], ctx)),
   lt: (ctx, ...a) =>
-    ck(a, 2, "lt") ?? Number(ev(a[0], ctx)) < Number(ev(a[1], ctx)),
+    ck(ctx, a, "lt") ?? Number(ev(a[0], ctx)) < Number(ev(a[1], ctx)),
   gte: (ctx, ...a) =>
-    ck(a, 2, "gte") ?? Number(ev(a[0], ctx)) >= Number(ev(a[1], ctx)),
+    ck(ctx, a, "gte") ?? Number(ev(a[0], ctx)) >= Number(ev(a[1], ctx)),
   lte: (ctx, ...a) =>
-    ck(a, 2, "lte") ?? Number(ev(a[0], ctx)) <= Number(ev(a[1], ctx)),
+    ck(ctx, a, "lte") ?? Number(ev(a[0], ctx)) <= Number(ev(a[1], ctx)),
 
   // Logical (short-circuit evaluation, return last evaluated value)
   and: (ctx, ...a) => {
@@ -129,14 +847,14 @@ const fns: { [k: string]: Fn } = {
     }
     return r;
   },
-  not: (ctx, ...a) => ck(a, 1, "not") ?? !truthy(ev(a[0], ctx)),
+  not: (ctx, ...a) => ck(ctx, a, "not") ?? !truthy(ev(a[0], ctx)),
 
   // String manipulation
-  lowercase: (ctx, ...a) => String(ev(a[0], ctx)).toLowerCase(),
-  uppercase: (ctx, ...a) => String(ev(a[0], ctx)).toUpperCase(),
-  trim: (ctx, ...a) => String(ev(a[0], ctx)).trim(),
+  lowercase: (ctx, ...a) => keep(ev(a[0], ctx), (s) => s.toLowerCase()),
+  uppercase: (ctx, ...a) => keep(ev(a[0], ctx), (s) => s.toUpperCase()),
+  trim: (ctx, ...a) => keep(ev(a[0], ctx), (s) => s.trim()),
   truncate: (ctx, ...a) => {
-    const e = ck(a, 2, "truncate");
+    const e = ck(ctx, a, "truncate");
     if (e) return e;
     const s = String(ev(a[0], ctx)),
       n = Number(ev(a[1], ctx));
@@ -144,50 +862,326 @@ const fns: { [k: string]: Fn } = {
     return s.length > n ? s.slice(0, n) + suffix : s;
   },
   replace: (ctx, ...a) =>
-    ck(a, 3, "replace") ??
+    ck(ctx, a, "replace") ??
     String(ev(a[0], ctx))
       .split(String(ev(a[1], ctx)))
       .join(String(ev(a[2], ctx))),
 
   // Array functions
   limit: (ctx, ...a) => {
-    const e = ck(a, 2, "limit");
+    const e = ck(ctx, a, "limit");
     if (e) return e;
     const r = ev(a[0], ctx),
       n = ev(a[1], ctx) as number;
     return Array.isArray(r) ? r.slice(0, n < 0 ? 0 : n) : r;
   },
   first: (ctx, ...a) => {
-    const e = ck(a, 1, "first");
+    const e = ck(ctx, a, "first");
     if (e) return e;
     const r = ev(a[0], ctx);
     return Array.isArray(r) ? r[0] : r;
   },
   last: (ctx, ...a) => {
-    const e = ck(a, 1, "last");
+    const e = ck(ctx, a, "last");
     if (e) return e;
     const r = ev(a[0], ctx);
     return Array.isArray(r) ? r[r.length - 1] : r;
   },
   length: (ctx, ...a) => {
-    const e = ck(a, 1, "length");
+    const e = ck(ctx, a, "length");
     if (e) return e;
     const v = ev(a[0], ctx);
     return Array.isArray(v) ? v.length : String(v).length;
   },
   join: (ctx, ...a) =>
-    ck(a, 2, "join") ??
+    ck(ctx, a, "join") ??
     ((r) => (Array.isArray(r) ? r.join(String(ev(a[1], ctx))) : String(r)))(
       ev(a[0], ctx),
     ),
+  sort: (ctx, ...a) => {
+    const e = ck(ctx, a, "sort");
+    if (e) return e;
+    const r = ev(a[0], ctx),
+      key = a[1] && ev(a[1], ctx),
+      desc = a[2] && ev(a[2], ctx) === "desc";
+    if (!Array.isArray(r)) return r;
+    const by = new Intl.Collator(ctx.env.options.locale).compare;
+    return [...r].sort((x, y) => {
+      const [p, q] = [pathOf(x, key), pathOf(y, key)];
+      // Empty values go last in either direction
+      if (p == null || q == null) return Number(p == null) - Number(q == null);
+      const c =
+        typeof p === "number" && typeof q === "number"
+          ? p - q
+          : by(String(p), String(q));
+      return desc ? -c : c;
+    });
+  },
+  where: (ctx, ...a) => {
+    const e = ck(ctx, a, "where");
+    if (e) return e;
+    const r = ev(a[0], ctx),
+      key = ev(a[1], ctx),
+      v = a[2] && ev(a[2], ctx);
+    if (!Array.isArray(r)) return r;
+    return r.filter((x) =>
+      a[2] ? pathOf(x, key) === v : truthy(pathOf(x, key)),
+    );
+  },
+  pluck: (ctx, ...a) => {
+    const e = ck(ctx, a, "pluck");
+    if (e) return e;
+    const r = ev(a[0], ctx),
+      key = ev(a[1], ctx);
+    return Array.isArray(r) ? r.map((x) => pathOf(x, key)) : r;
+  },
+  groupBy: (ctx, ...a) => {
+    const e = ck(ctx, a, "groupBy");
+    if (e) return e;
+    const r = ev(a[0], ctx),
+      key = ev(a[1], ctx);
+    if (!Array.isArray(r)) return r;
+    const groups = new Map<Value, Value[]>();
+    for (const x of r) {
+      const k = pathOf(x, key);
+      groups.set(k, [...(groups.get(k) || []), x]);
+    }
+    return [...groups].map(([key, items]) => ({ key, items }));
+  },
+  uniq: (ctx, ...a) => {
+    const e = ck(ctx, a, "uniq");
+    if (e) return e;
+    const r = ev(a[0], ctx),
+      key = a[1] && ev(a[1], ctx);
+    if (!Array.isArray(r)) return r;
+    const seen = new Set<Value>();
+    return r.filter((x) => {
+      const k = pathOf(x, key);
+      if (seen.has(k)) return false;
+      seen.add(k);
+      return true;
+    });
+  },
+  reverse: (ctx, ...a) => {
+    const e = ck(ctx, a, "reverse");
+    if (e) return e;
+    const r = ev(a[0], ctx);
+    return Array.isArray(r) ? [...r].reverse() : r;
+  },
+  slice: (ctx, ...a) => {
+    const e = ck(ctx, a, "slice");
+    if (e) return e;
+    const r = ev(a[0], ctx),
+      start = Number(ev(a[1], ctx)),
+      end = a[2] ? Number(ev(a[2], ctx)) : undefined;
+    return Array.isArray(r)
+      ? r.slice(start, end)
+      : String(r ?? "").slice(start, end);
+  },
+  sum: (ctx, ...a) => {
+    const e = ck(ctx, a, "sum");
+    if (e) return e;
+    return numbers(ctx, a).reduce((s, n) => s + n, 0);
+  },
+  min: (ctx, ...a) => {
+    const e = ck(ctx, a, "min");
+    if (e) return e;
+    const ns = numbers(ctx, a);
+    return ns.length ? ns.reduce((m, n) => Math.min(m, n)) : undefined;
+  },
+  max: (ctx, ...a) => {
+    const e = ck(ctx, a, "max");
+    if (e) return e;
+    const ns = numbers(ctx, a);
+    return ns.length ? ns.reduce((m, n) => Math.max(m, n)) : undefined;
+  },
+  chunk: (ctx, ...a) => {
+    const e = ck(ctx, a, "chunk");
+    if (e) return e;
+    const r = ev(a[0], ctx),
+      n = Math.max(1, Math.floor(Number(ev(a[1], ctx))) || 1);
+    if (!Array.isArray(r)) return r;
+    const out: Value[][] = [];
+    for (let i = 0; i < r.length; i += n) out.push(r.slice(i, i + n));
+    return out;
+  },
+  range: (ctx, ...a) => {
+    const e = ck(ctx, a, "range");
+    if (e) return e;
+    const [start, end] = a[1]
+      ? [Number(ev(a[0], ctx)), Number(ev(a[1], ctx))]
+      : [0, Number(ev(a[0], ctx))];
+    const step = a[2] ? Number(ev(a[2], ctx)) : start > end ? -1 : 1;
+    const out: number[] = [];
+    if (!step || !Number.isFinite(start + end + step)) return out;
+    // A range longer than the iterations left could never be looped over
+    const size = Math.ceil((end - start) / step);
+    if (ctx.budget && size > ctx.budget.iterations)
+      spend(ctx, "iterations", size);
+    if (size > maxRange)
+      return fail(ctx, "RANGE_TOO_LONG", `range() longer than ${maxRange}`);
+    for (let i = start; step > 0 ? i < end : i > end; i += step) out.push(i);
+    return out;
+  },
 
   // Utility
   default: (ctx, ...a) => {
-    const e = ck(a, 2, "default");
+    const e = ck(ctx, a, "default");
     if (e) return e;
     const v = ev(a[0], ctx);
     return truthy(v) ? v : ev(a[1], ctx);
   },
+  escape: (ctx, ...a) => {
+    const e = ck(ctx, a, "escape");
+    if (e) return e;
+    const mode = ev(a[1], ctx);
+    const f = escaper(mode);
+    if (!f) return fail(ctx, "UNKNOWN_ESCAPE", `unknown escape mode ${mode}`);
+    return new SafeString(f(String(ev(a[0], ctx) ?? "")));
+  },
+
+  // Formatting (Intl, in the locale and timeZone options)
+  number: (ctx, ...a) => {
+    const e = ck(ctx, a, "number");
+    if (e) return e;
+    const n = Number(ev(a[0], ctx)),
+      o = numberOptions(a[1] && ev(a[1], ctx));
+    return intl(ctx, () =>
+      new Intl.NumberFormat(ctx.env.options.locale, o).format(n),
+    );
+  },
+  currency: (ctx, ...a) => {
+    const e = ck(ctx, a, "currency");
+    if (e) return e;
+    const n = Number(ev(a[0], ctx)),
+      currency = String(ev(a[1], ctx));
+    return intl(ctx, () =>
+      new Intl.NumberFormat(ctx.env.options.locale, {
+        style: "currency",
+        currency,
+      }).format(n),
+    );
+  },
+  percent: (ctx, ...a) => {
+    const e = ck(ctx, a, "percent");
+    if (e) return e;
+    const n = Number(ev(a[0], ctx)),
+      o = numberOptions(a[1] && ev(a[1], ctx));
+    return intl(ctx, () =>
+      new Intl.NumberFormat(ctx.env.options.locale, {
+        ...o,
+        style: "percent",
+      }).format(n),
+    );
+  },
+  date: (ctx, ...a) => {
+    const e = ck(ctx, a, "date");
+    if (e) return e;
+    const v = ev(a[0], ctx),
+      d = toDate(v);
+    if (!d) return fail(ctx, "INVALID_DATE", `invalid date ${v}`);
+    const style = a[1] ? String(ev(a[1], ctx)) : "medium",
+      o = ctx.env.options;
+    return intl(ctx, () =>
+      /^(full|long|medium|short)$/.test(style)
+        ? new Intl.DateTimeFormat(o.locale, {
+            dateStyle: style as Intl.DateTimeFormatOptions["dateStyle"],
+            timeZone: o.timeZone,
+          }).format(d)
+        : datePattern(d, style, o),
+    );
+  },
+  relativeTime: (ctx, ...a) => {
+    const e = ck(ctx, a, "relativeTime");
+    if (e) return e;
+    const v = ev(a[0], ctx);
+    let n: number, unit: Intl.RelativeTimeFormatUnit;
+    if (a[1]) {
+      n = Number(v);
+      unit = String(ev(a[1], ctx)) as Intl.RelativeTimeFormatUnit;
+    } else {
+      const d = toDate(v);
+      if (!d) return fail(ctx, "INVALID_DATE", `invalid date ${v}`);
+      const s = (d.getTime() - Date.now()) / 1000;
+      const [u, len] = timeUnits.find(([, len]) => Math.abs(s) >= len) ?? [
+        "second",
+        1,
+      ];
+      n = Math.round(s / len);
+      unit = u;
+    }
+    return intl(ctx, () =>
+      new Intl.RelativeTimeFormat(ctx.env.options.locale, {
+        numeric: "auto",
+      }).format(n, unit),
+    );
+  },
+  list: (ctx, ...a) => {
+    const e = ck(ctx, a, "list");
+    if (e) return e;
+    const v = ev(a[0], ctx),
+      type = a[1] && ev(a[1], ctx);
+    if (!Array.isArray(v)) return String(v ?? "");
+    return intl(ctx, () =>
+      new ListFormat(ctx.env.options.locale, {
+        type:
+          type === "or"
+            ? "disjunction"
+            : type === "unit"
+              ? "unit"
+              : "conjunction",
+      }).format(v.map((x) => String(x ?? ""))),
+    );
+  },
+  plural: (ctx, ...a) => {
+    const e = ck(ctx, a, "plural");
+    if (e) return e;
+    const n = Number(ev(a[0], ctx)),
+      f = ev(a[1], ctx),
+      locale = ctx.env.options.locale;
+    const forms = a[2] ? { one: f, other: ev(a[2], ctx) } : f;
+    return intl(ctx, () => {
+      const form =
+        member(forms, "=" + n) ??
+        member(forms, new Intl.PluralRules(locale).select(n)) ??
+        member(forms, "other");
+      return String(form ?? "").replace(
+        /#/g,
+        new Intl.NumberFormat(locale).format(n),
+      );
+    });
+  },
+
+  // Translation, from the message catalogs of the environment
+  t: (ctx, ...a) => {
+    const e = ck(ctx, a, "t");
+    if (e) return e;
+    const key = String(ev(a[0], ctx)),
+      params = a[1] ? ev(a[1], ctx) : ctx.data,
+      o = ctx.env.options;
+    for (const locale of localeChain(o)) {
+      const cat = ctx.env.messages[locale];
+      const src = member(cat, key) ?? key.split(".").reduce(member, cat);
+      if (typeof src !== "string") continue;
+      let m = msgs.get(src);
+      if (!m) {
+        try {
+          msgs.set(src, (m = parseMessage(src)));
+        } catch (err) {
+          const why = (err as Error).message;
+          return fail(ctx, "INVALID_MESSAGE", `invalid message ${key}: ${why}`);
+        }
+      }
+      const msg = m;
+      return intl(ctx, () => formatMessage(msg, params, locale, o));
+    }
+    const missing = o.missingMessage || "error";
+    // The locale looked in first, which may be the runtime's
+    if (typeof missing === "function") return missing(key, localeChain(o)[0]);
+    return missing === "key"
+      ? key
+      : fail(ctx, "MISSING_MESSAGE", `missing message ${key}`);
+  },
 
   // URL sanitization - derived from Google Closure Library's SafeUrl
   // Blocks javascript:, data:, vbscript:, etc.
@@ -197,68 +1191,924 @@ const fns: { [k: string]: Fn } = {
   },
 };
 
+/** Binary operators, from loosest to tightest binding */
+const levels = [
+  ["||"],
+  ["&&"],
+  ["==", "!="],
+  ["<=", ">=", "<", ">"],
+  ["+", "-"],
+  ["*", "/", "%"],
+];
+
+/** Numeric binary operator */
+const arith =
+  (f: (a: number, b: number) => number): Fn =>
+  (ctx, a, b) =>
+    f(Number(ev(a, ctx)), Number(ev(b, ctx)));
+
 /**
- * Evaluates an expression AST node against a data context.
- *
- * Returns undefined for missing variables, error string for unknown functions.
+ * Operators, evaluated by the built-ins they stand for. These stay the same
+ * when an environment registers its own eq() or and().
  */
-const ev = (e: Expr, ctx: TemplateData): Value => {
-  if (!e) return undefined;
+const ops: { [op: string]: Fn } = {
+  "==": fns.eq,
+  "!=": fns.ne,
+  ">": fns.gt,
+  "<": fns.lt,
+  ">=": fns.gte,
+  "<=": fns.lte,
+  "&&": fns.and,
+  "||": fns.or,
+  "!": fns.not,
+  "?": (ctx, c, a, b) => ev(truthy(ev(c, ctx)) ? a : b, ctx),
+  // + joins strings if either side is one, and adds numbers otherwise
+  "+": (ctx, a, b) => {
+    const l = ev(a, ctx),
+      r = ev(b, ctx);
+    const text = [l, r].some(
+      (v) => typeof v === "string" || v instanceof SafeString,
+    );
+    return text ? String(l ?? "") + String(r ?? "") : Number(l) + Number(r);
+  },
+  "-": arith((a, b) => a - b),
+  "*": arith((a, b) => a * b),
+  "/": arith((a, b) => a / b),
+  "%": arith((a, b) => a % b),
+};
 
-  // Literal: return value directly
-  if (e.t === "L") return e.val;
+/** Parsed (and already extended) ASTs of compiled templates, for #extends */
+const asts = new WeakMap<object, Node>();
 
-  // Variable: traverse dot-separated path
-  if (e.t === "V") {
-    const has = (o: TemplateData, k: string) =>
-      Object.prototype.hasOwnProperty.call(o, k);
-    let v: Value = ctx;
-    for (const k of e.path) {
-      if (v == null || !has(v as TemplateData, k)) return undefined;
-      v = (v as TemplateData)[k];
-    }
-    return v;
-  }
+/** Whether each partial included with contextual autoescape ends in HTML text */
+const textEnds = new WeakMap<Template, boolean>();
 
-  // Call or Pipe: look up function and invoke
-  const fn = fns[e.fn];
-  if (!fn) return `[Error: unknown ${e.fn}()]`;
-  return e.t === "C" ? fn(ctx, ...e.args) : fn(ctx, e.left, ...e.args);
-};
+/** Macros found in template bodies, as templates are only searched once */
+const macroCache = new WeakMap<Node[], Macros>();
 
 /**
- * Escapes HTML special characters.
+ * Finds the macros defined and imported anywhere in a template body, which
+ * is parsed from src.
  */
-const esc = (s: string): string =>
-  s
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;");
+const macrosOf = (body: Node[], src: string): Macros => {
+  let found = macroCache.get(body);
+  if (found) return found;
+  const m: Macros = { defs: {}, imports: {} };
+  const walk = (nodes: Node[], src: string): void => {
+    for (const n of nodes) {
+      if (n.t === "D") m.defs[n.name] = [n, src];
+      if (n.t === "U") m.imports[n.as] = n.name;
+      if (n.t === "S") walk(n.body, n.src);
+      else mapBodies(n, (b) => (walk(b, src), b));
+    }
+  };
+  walk(body, src);
+  macroCache.set(body, (found = m));
+  return found;
+};
 
-/**
- * Renders an AST to a string using the provided data context.
- */
-const rn = (nodes: Node[], ctx: TemplateData): string => {
+/** Own-property check, so templates can't reach prototype properties */
+const has = (o: TemplateData, k: string) =>
+  Object.prototype.hasOwnProperty.call(o, k);
+
+/** Reads the own property k of v, or undefined (never from the prototype) */
+const member = (v: Value, k: Value): Value =>
+  v != null &&
+  (typeof k === "string" || typeof k === "number") &&
+  has(v as TemplateData, String(k))
+    ? (v as TemplateData)[k]
+    : undefined;
+
+/** Whether a value is a promise (or other thenable), see renderAsync */
+const isThenable = (v: Value): boolean =>
+  typeof v === "object" &&
+  v !== null &&
+  typeof (v as { then?: unknown }).then === "function";
+
+/** Whether the functions option lets templates call a function */
+const allowed = ({ functions: f }: Options, name: string): boolean =>
+  !f || ((!f.allow || f.allow.includes(name)) && !f.deny?.includes(name));
+
+/**
+ * Calls f with every function call in nodes, and the source its offsets
+ * point into.
+ */
+const eachCall = (
+  nodes: Node[],
+  src: string,
+  f: (e: Extract<Expr, { t: "C" | "P" }>, src: string) => void,
+): void => {
+  const expr = (e: Expr | undefined): void => {
+    if (!e || e.t === "L" || e.t === "V") return;
+    if (e.t === "G") [e.obj, e.key].forEach(expr);
+    else if (e.t === "O") e.args.forEach(expr);
+    else {
+      if (e.t === "P") expr(e.left);
+      e.args.forEach(expr);
+      f(e, src);
+    }
+  };
+  for (const n of nodes) {
+    if (n.t === "I") expr(n.expr);
+    if (n.t === "F") for (const b of n.branches) expr(b.cond);
+    if (n.t === "E") expr(n.arr);
+    if (n.t === "R") [n.ctx, ...n.params.map(([, e]) => e)].forEach(expr);
+    if (n.t === "K" || n.t === "H")
+      [...n.args, ...n.params.map(([, e]) => e)].forEach(expr);
+    if (n.t === "D") n.params.forEach(([, e]) => expr(e));
+    if (n.t === "S") eachCall(n.body, n.src, f);
+    else mapBodies(n, (b) => (eachCall(b, src, f), b));
+  }
+};
+
+/**
+ * Copies the parts of data at the given dotted paths into a new object.
+ * Objects on the way to a path are new too, so the copy never shares one
+ * it only partly shows.
+ */
+const project = (data: TemplateData, paths: string[]): TemplateData => {
+  const out: TemplateData = {},
+    made = new Set<Value>([out]);
+  for (const path of paths) {
+    const keys = path.split(".");
+    let from: Value = data,
+      to = out;
+    for (let i = 0; i < keys.length; i++) {
+      const k = keys[i];
+      from = member(from, k);
+      if (from === undefined) break;
+      if (i === keys.length - 1) to[k] = from;
+      else {
+        // A shorter path already gave all of it
+        if (has(to, k) && !made.has(to[k])) break;
+        if (!has(to, k)) made.add((to[k] = {}));
+        to = to[k] as TemplateData;
+      }
+    }
+  }
+  return out;
+};
+
+/** Read-only views of data objects, so each object gets a single view */
+const views = new WeakMap<object, object>();
+
+/**
+ * Returns a read-only view of a plain object or array, whose properties are
+ * read-only views in turn. Writing through it throws a TypeError. Other
+ * values, like dates and class instances, and frozen data (which already
+ * can't be written) are returned as they are.
+ */
+const readOnly = <T>(v: T): T => {
+  if (!v || typeof v !== "object" || Object.isFrozen(v)) return v;
+  const proto = Object.getPrototypeOf(v);
+  if (!Array.isArray(v) && proto !== Object.prototype && proto !== null)
+    return v;
+  let view = views.get(v);
+  if (!view) {
+    const deny = () => {
+      throw new TypeError("template data is read-only");
+    };
+    view = new Proxy(v, {
+      // A proxy must return non-writable, non-configurable properties as they are
+      get: (t, k) => {
+        const d = Reflect.getOwnPropertyDescriptor(t, k);
+        const r = Reflect.get(t, k);
+        return d && !d.configurable && !d.writable ? r : readOnly(r);
+      },
+      set: deny,
+      deleteProperty: deny,
+      defineProperty: deny,
+      setPrototypeOf: deny,
+    });
+    views.set(v, view);
+  }
+  return view as T;
+};
+
+/**
+ * Evaluates an expression AST node against a data context.
+ *
+ * Returns undefined for missing variables, error string for unknown functions.
+ */
+const ev = (e: Expr, ctx: Scope): Value => {
+  if (!e) return undefined;
+  spend(ctx, "evaluations", 1, e.start);
+
+  // Literal: return value directly
+  if (e.t === "L") return e.val;
+
+  // Variable: traverse dot-separated path
+  if (e.t === "V") {
+    let v: Value = ctx.data;
+    for (const k of e.path) v = member(v, k);
+    return v;
+  }
+
+  // Member access: obj.key or obj[key]
+  if (e.t === "G") return member(ev(e.obj, ctx), ev(e.key, ctx));
+
+  // Operator: a + b, !a, a ? b : c
+  if (e.t === "O") return ops[e.op](ctx, ...e.args);
+
+  // Call or Pipe: look up function and invoke (never from the prototype)
+  const fn = has(ctx.env.fns as never, e.fn) ? ctx.env.fns[e.fn] : undefined;
+  const at = e.t === "P" ? e.at : e.start;
+  if (!fn) return fail(ctx, "UNKNOWN_FUNCTION", `unknown ${e.fn}()`, at);
+  if (!allowed(ctx.env.options, e.fn))
+    return fail(ctx, "FORBIDDEN_FUNCTION", `${e.fn}() is not allowed`, at);
+  try {
+    return e.t === "C" ? fn(ctx, ...e.args) : fn(ctx, e.left, ...e.args);
+  } catch (err) {
+    // Locate errors raised inside the function (e.g. by ck) at this call
+    if (err instanceof TemplateError && err.line === undefined)
+      err.locate(ctx.src, at);
+    throw err;
+  }
+};
+
+/**
+ * Returns a copy of a node with each child body passed through f.
+ */
+const mapBodies = (n: Node, f: (b: Node[]) => Node[]): Node =>
+  n.t === "F"
+    ? {
+        ...n,
+        branches: n.branches.map((b) => ({ cond: b.cond, body: f(b.body) })),
+        else: n.else && f(n.else),
+      }
+    : n.t === "E"
+      ? { ...n, body: f(n.body), else: n.else && f(n.else) }
+      : n.t === "H"
+        ? {
+            ...n,
+            body: f(n.body),
+            slots: n.slots.map((b) => ({ name: b.name, body: f(b.body) })),
+            else: n.else && f(n.else),
+          }
+        : n.t === "B" || n.t === "S" || n.t === "D"
+          ? { ...n, body: f(n.body) }
+          : n;
+
+/**
+ * Collects every block a child template defines, keyed by name.
+ */
+const blocksOf = (
+  nodes: Node[],
+  out: { [k: string]: Node[] } = {},
+): { [k: string]: Node[] } => {
+  for (const n of nodes) {
+    if (n.t === "B") out[n.name] = n.body;
+    mapBodies(n, (b) => (blocksOf(b, out), b));
+  }
+  return out;
+};
+
+/**
+ * Replaces {{ super() }} in an overriding block with the parent's block body.
+ */
+const sup = (nodes: Node[], parent: Node[]): Node[] =>
+  nodes.flatMap((n) =>
+    n.t === "I" && n.expr.t === "C" && n.expr.fn === "super"
+      ? parent
+      : [mapBodies(n, (b) => sup(b, parent))],
+  );
+
+/**
+ * Applies a child's block overrides to a parent AST. Blocks are kept in the
+ * result so that templates extending the child can override them again.
+ * Overrides and super() content are wrapped in S nodes recording the source
+ * they were parsed from (child, and cur for the parent), for error locations.
+ */
+const extend = (
+  nodes: Node[],
+  blocks: { [k: string]: Node[] },
+  child: string,
+  cur = "",
+): Node[] =>
+  nodes.map((n) => {
+    const r = mapBodies(n, (b) =>
+      extend(b, blocks, child, n.t === "S" ? n.src : cur),
+    );
+    if (r.t !== "B" || !blocks[r.name]) return r;
+    const parent: Node[] = [{ t: "S", src: cur, body: r.body }];
+    return {
+      ...r,
+      body: [{ t: "S", src: child, body: sup(blocks[r.name], parent) }],
+    };
+  });
+
+/**
+ * Where contextual autoescape is in the HTML: the mode (text, tag, value,
+ * script, ...), the current element and attribute name, the attribute's quote
+ * and kind, the JS token being scanned (a string quote, comment or regular
+ * expression), how much of the value came before, and in JS the braces and
+ * template literals open around the token and the last word or punctuation.
+ */
+type Cx = {
+  m: string;
+  el: string;
+  at: string;
+  q: string;
+  k: string;
+  js: string;
+  n: number;
+  br: string;
+  p: string;
+};
+
+/** The context at the start of a template: HTML text */
+const textCx = (): Cx => ({
+  m: "text",
+  el: "",
+  at: "",
+  q: "",
+  k: "",
+  js: "",
+  n: 0,
+  br: "",
+  p: "",
+});
+
+/** Element contents that aren't HTML text, by element */
+const rawText: { [el: string]: string } = {
+  script: "script",
+  style: "style",
+  textarea: "rcdata",
+  title: "rcdata",
+};
+
+/** Attributes holding a URL, which is checked with the safeUrl rules */
+const urlAttrs =
+  /^(?:href|src|srcset|action|formaction|poster|cite|background|longdesc|usemap|manifest|codebase|data|icon|ping|xlink:href)$/;
+
+/** Description of each mode, for errors */
+const places: { [m: string]: string } = {
+  text: "HTML text",
+  rcdata: "<title> or <textarea>",
+  script: "a <script>",
+  style: "a <style>",
+  beforevalue: "an attribute value",
+  value: "an attribute value",
+  tag: "a tag",
+  tagname: "a tag name",
+  attrname: "an attribute name",
+  aftername: "a tag",
+  endtag: "an end tag",
+  comment: "an HTML comment",
+  srcdoc: "an srcdoc attribute",
+  "`": "a JS template literal",
+  "//": "a JS comment",
+  "/*": "a JS comment",
+  "/": "a JS regular expression",
+  "[": "a JS regular expression",
+};
+
+/** The description of where context c is, for errors */
+const place = (c: Cx): string =>
+  places[
+    c.br
+      ? "`"
+      : has(places as never, c.js)
+        ? c.js
+        : c.m === "value" && c.k === "srcdoc"
+          ? c.k
+          : c.m
+  ];
+
+/**
+ * Advances the HTML context c over a chunk of template text.
+ */
+const scan = (c: Cx, s: string): void => {
+  const tag = /<(\/?)([a-z][\w:-]*)/iy;
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (c.m === "text") {
+      tag.lastIndex = i;
+      const m = tag.exec(s);
+      if (s.startsWith("<!--", i)) {
+        c.m = "comment";
+        i += 3;
+      } else if (m) {
+        c.m = m[1] ? "endtag" : "tag";
+        c.el = m[2].toLowerCase();
+        i += m[0].length - 1;
+        // The name may go on in an interpolation
+        if (i === s.length - 1) c.m = "tagname";
+      } else if (ch === "<" && /^\/?$/.test(s.slice(i + 1))) c.m = "tagname";
+    } else if (c.m === "comment") {
+      if (s.startsWith("-->", i)) {
+        c.m = "text";
+        i += 2;
+      }
+    } else if (rawText[c.el] === c.m) {
+      if (s.slice(i, i + c.el.length + 2).toLowerCase() === `</${c.el}`) {
+        c.m = "endtag";
+        jsReset(c);
+        i += c.el.length + 1;
+      } else if (c.m === "script") i += jsScan(c, s, i);
+    } else if (c.m === "endtag") {
+      if (ch === ">") c.m = "text";
+    } else if (c.m === "tag") {
+      if (ch === ">") c.m = rawText[c.el] ?? "text";
+      else if (!/[\s/]/.test(ch)) {
+        c.m = "attrname";
+        c.at = ch.toLowerCase();
+      }
+    } else if (c.m === "tagname" || c.m === "attrname") {
+      if (ch === "=" && c.m === "attrname") c.m = "beforevalue";
+      else if (/[\s/>]/.test(ch)) {
+        c.m = c.m === "tagname" ? "tag" : "aftername";
+        i--;
+      } else if (c.m === "attrname") c.at += ch.toLowerCase();
+    } else if (c.m === "aftername") {
+      if (ch === "=") c.m = "beforevalue";
+      else if (!/\s/.test(ch)) {
+        c.m = "tag";
+        i--;
+      }
+    } else if (c.m === "beforevalue") {
+      if (!/\s/.test(ch)) {
+        startValue(c, ch === '"' || ch === "'" ? ch : "");
+        if (!c.q) i--;
+      }
+    } else if (c.m === "value") {
+      if (c.q ? ch === c.q : /[\s>]/.test(ch)) {
+        c.m = "tag";
+        if (!c.q) i--;
+      } else {
+        c.n++;
+        if (c.k === "js") i += jsScan(c, s, i);
+      }
+    }
+  }
+};
+
+/** Words after which a / starts a regular expression rather than dividing */
+const reWords =
+  /^(?:return|typeof|instanceof|in|of|new|delete|void|throw|case|do|else|yield|await)$/;
+
+/** Clears the JavaScript state of context c, at the start or end of a script */
+const jsReset = (c: Cx) => {
+  c.js = c.br = c.p = "";
+};
+
+/**
+ * Tracks the JavaScript token that character i of s is in: strings, template
+ * literals and the code in their ${}, comments and regular expressions.
+ * Returns how many of the characters after it were consumed with it.
+ */
+const jsScan = (c: Cx, s: string, i: number): number => {
+  const ch = s[i];
+  const two = s.slice(i, i + 2);
+  const { js } = c;
+  if (js === "//" || js === "/" || js === "[") {
+    // Neither comments nor regular expressions go past the end of the line
+    if (/[\n\r\u2028\u2029]/.test(ch)) c.js = "";
+  }
+  if (js === "/*") {
+    if (two === "*/") return ((c.js = ""), 1);
+  } else if (!js) {
+    if (two === "//" || two === "/*") return ((c.js = two), 1);
+    if (ch === "/" && (!/[\w$)\]]$/.test(c.p) || reWords.test(c.p))) c.js = "/";
+    else if (ch === '"' || ch === "'" || ch === "`") c.js = ch;
+    else if (ch === "{" && c.br) c.br += ch;
+    else if (ch === "}" && c.br) {
+      if (c.br.endsWith("`")) c.js = "`";
+      c.br = c.br.slice(0, -1);
+    }
+    if (!/\s/.test(ch))
+      c.p = /[\w$]/.test(ch) && /[\w$]$/.test(c.p) ? c.p + ch : ch;
+  } else if (js !== "//" && c.js) {
+    if (ch === "\\") return 1;
+    if (js === "`" && two === "${") {
+      c.br += "`";
+      c.js = "";
+      return 1;
+    }
+    if (js === "/" && ch === "[") c.js = "[";
+    else if (js === "[" ? ch === "]" : ch === js) {
+      c.js = js === "[" ? "/" : "";
+      // A closed literal is a value, so a / after it divides
+      c.p = ")";
+    }
+  }
+  return 0;
+};
+
+/** Starts an attribute value with quote q ("" if unquoted) */
+const startValue = (c: Cx, q: string) => {
+  const { at } = c;
+  c.m = "value";
+  c.q = q;
+  c.k = at.startsWith("on")
+    ? "js"
+    : at === "style"
+      ? "css"
+      : urlAttrs.test(at)
+        ? "url"
+        : at === "srcdoc"
+          ? "srcdoc"
+          : "";
+  c.n = 0;
+  jsReset(c);
+};
+
+/** The parts of context c that decide how later text and values are escaped */
+const cxKey = (c: Cx): string =>
+  c.m === "text" || c.m === "comment" || c.m === "endtag"
+    ? c.m
+    : c.m === "value"
+      ? [c.m, c.q, c.k, c.js, c.br, c.k === "url" && !c.n].join()
+      : [c.m, c.el, c.at, c.js, c.br].join();
+
+/**
+ * Returns the escapers for an interpolation in context c, or undefined if
+ * none can make it safe there.
+ */
+const escapersAt = (c: Cx): string[] | undefined => {
+  if (c.m === "text" || c.m === "rcdata") return ["html"];
+  if (c.m === "style") return ["css"];
+  if (c.m === "beforevalue") startValue(c, "");
+  const js = c.m === "script" || (c.m === "value" && c.k === "js");
+  // Only JS strings and code are escaped: template literals, their ${} code,
+  // comments and regular expressions have no escaping that keeps values in
+  if (js && (c.br || (c.js && c.js !== '"' && c.js !== "'"))) return undefined;
+  // The value stands in for an expression, so a / after it divides
+  if (js && !c.js) c.p = ")";
+  const first = js ? (c.js ? "jsstr" : "js") : "";
+  if (c.m === "script") return [first];
+  // srcdoc is decoded and then parsed as a document, so no escaping is safe
+  if (c.m !== "value" || c.k === "srcdoc") return undefined;
+  const last = c.q ? "html" : "unquoted";
+  const k = first || (c.k === "url" ? (c.n++ ? "urlpart" : "url") : c.k);
+  return k ? [k, last] : [last];
+};
+
+/**
+ * Contextual autoescape: annotates each interpolation in nodes (from source
+ * src) with the escapers for the HTML context it sits in, following the
+ * context c through the text. Interpolations and partials where no escaping
+ * is safe, and blocks whose branches leave the HTML in different contexts,
+ * are reported and render an error.
+ */
+const contextualize = (
+  nodes: Node[],
+  c: Cx,
+  src: string,
+  options: Options,
+): Node[] => {
+  const report = reporter(src, options);
+  const error = (n: Node & Pos, msg: string): Node => {
+    report?.("UNSAFE_CONTEXT", msg, n.start);
+    const { start, end, line, column } = n;
+    return { t: "T", val: `[Error: ${msg}]`, start, end, line, column };
+  };
+
+  return nodes.flatMap((n): Node | Node[] => {
+    if (n.t === "T") scan(c, n.val);
+    if (n.t === "S")
+      return { ...n, body: contextualize(n.body, c, n.src, options) };
+    if (n.t === "I" && !n.raw) {
+      const cx = escapersAt(c);
+      if (!cx) return error(n, `cannot interpolate in ${place(c)}`);
+      return cx[0] === "html" ? n : { ...n, cx };
+    }
+    if (n.t === "R" && c.m !== "text")
+      return error(n, `cannot include a partial in ${places[c.m]}`);
+    if (n.t === "K" && c.m !== "text")
+      return error(n, `cannot call a macro in ${places[c.m]}`);
+    // Macros are called from text, so their bodies start out and end in it
+    if (n.t === "D") {
+      const d = textCx();
+      const body = contextualize(n.body, d, src, options);
+      if (d.m === "text") return { ...n, body };
+      return {
+        ...n,
+        body: [error(n, `macro ${n.name} doesn't end in HTML text`)],
+      };
+    }
+    if (n.t !== "F" && n.t !== "E" && n.t !== "H" && n.t !== "B") return n;
+
+    // Every way through a block must end in the context it left off in
+    const from = { ...c };
+    const ends: string[] = [];
+    const out = mapBodies(n, (b) => {
+      const d = { ...from };
+      const r = contextualize(b, d, src, options);
+      ends.push(cxKey(d));
+      Object.assign(c, d);
+      return r;
+    });
+    // Loops and custom blocks may not render a body at all
+    if (n.t === "E" || n.t === "H" || (n.t === "F" && !n.else))
+      ends.push(cxKey(from));
+    if (ends.some((e) => e !== ends[0]))
+      return [
+        out,
+        error(
+          n,
+          n.t === "F"
+            ? "#if branches end in different HTML contexts"
+            : `#${n.t === "H" ? n.name : "each"} body changes the HTML context`,
+        ),
+      ];
+    return out;
+  });
+};
+
+/**
+ * Escapes HTML special characters.
+ */
+const esc = (s: string): string =>
+  s
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/** The escape modes, by name */
+const escapes: { [mode: string]: (s: string) => string } = {
+  html: esc,
+  none: (s) => s,
+  // Backslash-escapes the punctuation that Markdown gives a meaning to
+  markdown: (s) => s.replace(/[\\`*_{}[\]()#+\-.!|<>~&]/g, "\\$&"),
+};
+
+/** The escaping function for an escape option or escape() mode, if known */
+const escaper = (mode: Value | Options["escape"]) =>
+  typeof mode === "function"
+    ? mode
+    : typeof mode === "string" && has(escapes as never, mode)
+      ? escapes[mode]
+      : undefined;
+
+/** Escapes characters that could end a <script> element or JS string */
+const jsEsc = (s: string): string =>
+  s.replace(
+    /[<>&'`$\u2028\u2029]/g,
+    (c) => `\\u${c.charCodeAt(0).toString(16).padStart(4, "0")}`,
+  );
+
+/** Position of expressions built at render time, that have no source */
+const loc0: Pos = { start: 0, end: 0, line: 1, column: 1 };
+
+/**
+ * Escapers that contextual autoescape chains for an interpolation, by name.
+ * An escaper returns undefined for a value it can't make safe.
+ */
+const escapers: { [k: string]: (v: Value, ctx: Scope) => string | undefined } =
+  {
+    html: (v) => esc(String(v ?? "")),
+    // Unquoted attribute values also end at whitespace
+    unquoted: (v) =>
+      esc(String(v ?? "")).replace(/[\s=`]/g, (c) => `&#${c.charCodeAt(0)};`),
+    url: (v, ctx) => String(fns.safeUrl(ctx, { t: "L", val: v, ...loc0 })),
+    urlpart: (v) => encodeURIComponent(String(v ?? "")),
+    js: (v) => jsEsc(JSON.stringify(v) ?? "null"),
+    jsstr: (v) => jsEsc(JSON.stringify(String(v ?? "")).slice(1, -1)),
+    css: (v) => {
+      const s = String(v ?? "");
+      return /^[\w\s.,#%+-]*$/.test(s) ? s : undefined;
+    },
+  };
+
+/** Escapes s with the escape option, for output at index at */
+const escaped = (s: string, ctx: Scope, at: number): string => {
+  const { escape = "html" } = ctx.env.options;
+  const f = escaper(escape);
+  if (!f)
+    return fail(ctx, "UNKNOWN_ESCAPE", `unknown escape mode ${escape}`, at);
+  return f(s);
+};
+
+/**
+ * Formats an interpolated value for output, escaped with the escape option
+ * (or the escapers contextual autoescape picked) unless raw or a SafeString.
+ */
+const show = (n: Extract<Node, { t: "I" }>, v: Value, ctx: Scope): string => {
+  if (isThenable(v))
+    return fail(
+      ctx,
+      "ASYNC_VALUE",
+      "use renderAsync for promises",
+      n.expr.start,
+    );
+  if (v instanceof SafeString) return v.value;
+  // JavaScript contexts render arrays and objects as JSON
+  if (n.cx?.[0] !== "js") {
+    if (Array.isArray(v))
+      return fail(ctx, "ARRAY_OUTPUT", "use #each for arrays", n.expr.start);
+    if (typeof v === "object" && v !== null)
+      return fail(ctx, "OBJECT_OUTPUT", "cannot render object", n.expr.start);
+  }
+  if (n.raw) return String(v ?? "");
+  if (!n.cx) return escaped(String(v ?? ""), ctx, n.expr.start);
+  let out: Value = v;
+  for (const k of n.cx) {
+    const r = escapers[k](out, ctx);
+    if (r === undefined)
+      return fail(ctx, "UNSAFE_VALUE", `unsafe ${k} value`, n.expr.start);
+    out = r;
+  }
+  return out as string;
+};
+
+/**
+ * Lists the [item, key] pairs #each iterates over: array items with their
+ * index, or an object's own enumerable properties in Object.keys order.
+ * Returns undefined for anything else.
+ */
+const entries = (v: Value): [Value, Value][] | undefined =>
+  Array.isArray(v)
+    ? v.map((item, i) => [item, i])
+    : v && typeof v === "object" && !(v instanceof SafeString)
+      ? Object.keys(v).map((k) => [v[k], k])
+      : undefined;
+
+/**
+ * Builds the local scope for iteration i of an #each over list, including
+ * the loop metadata. Names from the #each tag take precedence over "loop".
+ */
+const iteration = (
+  n: Extract<Node, { t: "E" }>,
+  ctx: Scope,
+  list: [Value, Value][],
+  i: number,
+): Scope => {
+  spend(ctx, "iterations", 1, n.start);
+  const [item, key] = list[i];
+  const loop: TemplateData = {
+    index: i + 1,
+    first: i === 0,
+    last: i === list.length - 1,
+    length: list.length,
+    odd: i % 2 === 0,
+    even: i % 2 === 1,
+    parent: ctx.loop,
+  };
+  // A loop key of the data itself (not an outer #each's) wins, like the names
+  const own = has(ctx.data, "loop") && ctx.data.loop !== ctx.loop;
+  const local: TemplateData = { ...ctx.data, ...(!own && { loop }) };
+  local[n.as] = item;
+  if (n.idx) local[n.idx] = key;
+  return { ...ctx, data: local, loop };
+};
+
+/**
+ * Looks up the partial for an include and builds the scope to render it with,
+ * from the evaluated context argument (base) and params. Returns the error to
+ * render instead if the partial can't be rendered.
+ */
+const include = (
+  n: Extract<Node, { t: "R" }>,
+  ctx: Scope,
+  base: Value,
+  params: TemplateData,
+): string | [Template, Scope] => {
+  const { partials } = ctx.env;
+  const p = has(partials as never, n.name) ? partials[n.name] : undefined;
+  if (!p)
+    return fail(ctx, "UNKNOWN_PARTIAL", `unknown partial ${n.name}`, n.start);
+  if (typeof base !== "object" || base === null || Array.isArray(base))
+    return fail(
+      ctx,
+      "PARTIAL_CONTEXT",
+      "partial context must be object",
+      n.start,
+    );
+  if (ctx.depth >= (ctx.env.options.maxDepth ?? 100))
+    return fail(ctx, "PARTIAL_DEPTH", "partial depth exceeded", n.start);
+  const ast = asts.get(p);
+  // What follows the include is escaped as HTML text, so the partial must
+  // leave the HTML there
+  const { contextual, escape = "html" } = ctx.env.options;
+  if (contextual && escape === "html" && ast?.t === "S") {
+    if (!textEnds.has(p)) {
+      const c = textCx();
+      contextualize(ast.body, c, ast.src, {});
+      textEnds.set(p, c.m === "text");
+    }
+    if (!textEnds.get(p))
+      return fail(
+        ctx,
+        "UNSAFE_CONTEXT",
+        `partial ${n.name} doesn't end in HTML text`,
+        n.start,
+      );
+  }
+  const data: TemplateData = { ...(base as TemplateData), ...params };
+  const macros = ast?.t === "S" ? macrosOf(ast.body, ast.src) : undefined;
+  return [p, { ...ctx, data, depth: ctx.depth + 1, macros }];
+};
+
+/**
+ * Looks up the macro for a call and builds the scope to render its body with:
+ * only the evaluated args, by the macro's param names, and the named values.
+ * Returns the error to render instead if the macro can't be called.
+ */
+const invoke = (
+  n: Extract<Node, { t: "K" }>,
+  ctx: Scope,
+  args: Value[],
+  named: TemplateData,
+): string | [Node[], Scope] => {
+  let macros = ctx.macros;
+  let name = n.name;
+  const dot = name.indexOf(".");
+  if (dot >= 0) {
+    // An imported macro: alias.name
+    const from = macros && member(macros.imports, name.slice(0, dot));
+    const ast = from != null && asts.get(ctx.env.partials[String(from)]);
+    if (from == null) macros = undefined;
+    else if (ast && ast.t === "S") macros = macrosOf(ast.body, ast.src);
+    else
+      return fail(ctx, "UNKNOWN_PARTIAL", `unknown partial ${from}`, n.start);
+    name = name.slice(dot + 1);
+  }
+  const def = macros && has(macros.defs, name) ? macros.defs[name] : undefined;
+  if (!def)
+    return fail(ctx, "UNKNOWN_MACRO", `unknown macro ${n.name}`, n.start);
+  if (ctx.depth >= (ctx.env.options.maxDepth ?? 100))
+    return fail(ctx, "MACRO_DEPTH", "macro depth exceeded", n.start);
+  const [d, src] = def;
+  const data: TemplateData = { ...named };
+  const scope: Scope = { ...ctx, data, src, macros, depth: ctx.depth + 1 };
+  delete scope.loop;
+  // Defaults are evaluated in the macro's scope, so they can use earlier params
+  d.params.forEach(([k, dflt], i) => {
+    if (i < args.length) data[k] = args[i];
+    else if (!has(named, k)) data[k] = dflt && ev(dflt, scope);
+  });
+  return [d.body, scope];
+};
+
+/**
+ * Calls the handler of a custom block with its evaluated args, and functions
+ * that render its bodies with render (rn, or rna when rendering async).
+ */
+const custom = (
+  n: Extract<Node, { t: "H" }>,
+  ctx: Scope,
+  args: Value[],
+  params: TemplateData,
+  render: (nodes: Node[], scope: Scope) => string | Promise<string>,
+): Value | Promise<Value> => {
+  const handler = ctx.env.blocks[n.name];
+  if (!handler)
+    return fail(ctx, "UNKNOWN_BLOCK", `unknown #${n.name}`, n.start);
+  const part =
+    (body?: Node[]): BlockBody =>
+    (data) => {
+      if (!body) return new SafeString("");
+      const r = render(
+        body,
+        data ? { ...ctx, data: { ...ctx.data, ...data } } : ctx,
+      );
+      return typeof r === "string"
+        ? new SafeString(r)
+        : r.then((s) => new SafeString(s));
+    };
+  const slots: { [name: string]: BlockBody } = {};
+  for (const s of n.slots) slots[s.name] = part(s.body);
+  return handler(args, {
+    body: part(n.body),
+    else: part(n.else),
+    slots,
+    params,
+  });
+};
+
+/** Counts the text a node outputs against the output limit */
+const emit = (n: Node & Pos, s: string, ctx: Scope): string => {
+  spend(ctx, "output", s.length, n.start);
+  return s;
+};
+
+/** Outputs what a custom block's handler returned, escaped unless safe */
+const blockOut = (n: Node & Pos, r: Value, ctx: Scope): string =>
+  emit(
+    n,
+    r instanceof SafeString ? r.value : escaped(String(r ?? ""), ctx, n.start),
+    ctx,
+  );
+
+/**
+ * Renders an AST to a string using the provided data context.
+ */
+const rn = (nodes: Node[], scope: Scope): string => {
+  const ctx = nested(scope, nodes);
   let out = "";
   for (const n of nodes) {
     // Text node: append directly
     if (n.t === "T") {
-      out += n.val;
+      out += emit(n, n.val, ctx);
       continue;
     }
 
-    // Interpolation: evaluate and output (with HTML escaping unless raw)
+    // Interpolation: evaluate and output
     if (n.t === "I") {
-      const v = ev(n.expr, ctx);
-      if (Array.isArray(v)) out += "[Error: use #each for arrays]";
-      else if (typeof v === "object" && v !== null)
-        out += "[Error: cannot render object]";
-      else {
-        const s = String(v ?? "");
-        out += n.raw ? s : esc(s);
-      }
+      out += emit(n, show(n, ev(n.expr, ctx), ctx), ctx);
       continue;
     }
 
@@ -277,27 +2127,276 @@ const rn = (nodes: Node[], ctx: TemplateData): string => {
 
     // Loop: iterate array with local scope for item and index
     if (n.t === "E") {
-      const arr = ev(n.arr, ctx);
-      if (!Array.isArray(arr)) {
-        out += "[Error: #each needs array]";
+      const list = entries(ev(n.arr, ctx));
+      if (!list) {
+        out += fail(ctx, "EACH_NOT_ARRAY", "#each needs array", n.start);
         continue;
       }
-      if (!arr.length && n.else) out += rn(n.else, ctx);
+      if (!list.length && n.else) out += rn(n.else, ctx);
       else
-        for (let i = 0; i < arr.length; i++) {
-          const local: TemplateData = { ...ctx, [n.as]: arr[i] };
-          if (n.idx) local[n.idx] = i;
-          out += rn(n.body, local);
-        }
+        for (let i = 0; i < list.length; i++)
+          out += rn(n.body, iteration(n, ctx, list, i));
+      continue;
+    }
+
+    // Partial: render with current scope, or the given context, plus params
+    if (n.t === "R") {
+      const params: TemplateData = {};
+      for (const [k, e] of n.params) params[k] = ev(e, ctx);
+      const r = include(n, ctx, n.ctx ? ev(n.ctx, ctx) : ctx.data, params);
+      if (typeof r === "string") out += r;
+      else {
+        const ast = asts.get(r[0]);
+        out += ast ? rn([ast], r[1]) : r[0](r[1].data);
+      }
+      continue;
+    }
+
+    // Macro call: render the macro's body with its args
+    if (n.t === "K") {
+      const named: TemplateData = {};
+      for (const [k, e] of n.params) named[k] = ev(e, ctx);
+      const args = n.args.map((e) => ev(e, ctx));
+      const r = invoke(n, ctx, args, named);
+      out += typeof r === "string" ? r : rn(...r);
+      continue;
     }
+
+    // Custom block: output whatever its handler returns
+    if (n.t === "H") {
+      const params: TemplateData = {};
+      for (const [k, e] of n.params) params[k] = ev(e, ctx);
+      const args = n.args.map((e) => ev(e, ctx));
+      const r = custom(n, ctx, args, params, rn);
+      out += isThenable(r as Value)
+        ? fail(ctx, "ASYNC_VALUE", "use renderAsync for promises", n.start)
+        : blockOut(n, r as Value, ctx);
+      continue;
+    }
+
+    // Block: overrides were resolved at compile time, so just render the body
+    if (n.t === "B") out += rn(n.body, ctx);
+
+    // Source: body from another template, offsets now point into its source
+    if (n.t === "S") out += rn(n.body, { ...ctx, src: n.src });
   }
   return out;
 };
 
 /**
- * Compiles a template string into a reusable Template function.
+ * Evaluates an expression like ev, awaiting promises in the data and returned
+ * from functions. Arguments are evaluated concurrently and passed on to the
+ * function as literals, except for and/or which keep short-circuiting.
+ */
+const eva = async (e: Expr, ctx: Scope): Promise<Value> => {
+  // Calls are counted when they are handed to ev
+  if (e.t !== "C" && e.t !== "P") spend(ctx, "evaluations", 1, e.start);
+  if (e.t === "L") return e.val;
+
+  if (e.t === "V") {
+    let v: Value = ctx.data;
+    for (const k of e.path) v = member(await v, k);
+    return v;
+  }
+
+  if (e.t === "G") {
+    const [obj, key] = await Promise.all([eva(e.obj, ctx), eva(e.key, ctx)]);
+    return member(obj, key);
+  }
+
+  // Only the branch the condition picks is evaluated
+  if (e.t === "O" && e.op === "?")
+    return eva(e.args[truthy(await eva(e.args[0], ctx)) ? 1 : 2], ctx);
+
+  const fn =
+    e.t === "O"
+      ? ops[e.op]
+      : has(ctx.env.fns as never, e.fn)
+        ? ctx.env.fns[e.fn]
+        : undefined;
+  if (!fn) return ev(e, ctx);
+  const args = e.t === "P" ? [e.left, ...e.args] : e.args;
+  if (fn === fns.and || fn === fns.or) {
+    let r: Value = fn === fns.and;
+    for (const a of args) {
+      r = await eva(a, ctx);
+      if (truthy(r) === (fn === fns.or)) break;
+    }
+    return r;
+  }
+  const vals = await Promise.all(args.map((a) => eva(a, ctx)));
+  const lits = vals.map((val, i): Expr => {
+    const { start, end, line, column } = args[i];
+    return { t: "L", val, start, end, line, column };
+  });
+  return ev(
+    e.t === "P"
+      ? { ...e, left: lits[0], args: lits.slice(1) }
+      : { ...e, args: lits },
+    ctx,
+  );
+};
+
+/**
+ * Renders an AST like rn, resolving independent nodes (and #each iterations)
+ * concurrently while keeping the output in order.
+ */
+const rna = async (nodes: Node[], scope: Scope): Promise<string> => {
+  const ctx = nested(scope, nodes);
+  const parts = nodes.map(async (n): Promise<string> => {
+    if (n.t === "T") return emit(n, n.val, ctx);
+
+    if (n.t === "I") return emit(n, show(n, await eva(n.expr, ctx), ctx), ctx);
+
+    // Conditions are evaluated in order, as later ones may not need to be
+    if (n.t === "F") {
+      for (const b of n.branches)
+        if (truthy(await eva(b.cond, ctx))) return rna(b.body, ctx);
+      return n.else ? rna(n.else, ctx) : "";
+    }
+
+    if (n.t === "E") {
+      const list = entries(await eva(n.arr, ctx));
+      if (!list)
+        return fail(ctx, "EACH_NOT_ARRAY", "#each needs array", n.start);
+      if (!list.length && n.else) return rna(n.else, ctx);
+      const items = list.map((_, i) => rna(n.body, iteration(n, ctx, list, i)));
+      return (await Promise.all(items)).join("");
+    }
+
+    if (n.t === "R") {
+      const params: TemplateData = {};
+      await Promise.all(
+        n.params.map(async ([k, e]) => (params[k] = await eva(e, ctx))),
+      );
+      const base = n.ctx ? await eva(n.ctx, ctx) : ctx.data;
+      const r = include(n, ctx, base, params);
+      if (typeof r === "string") return r;
+      const ast = asts.get(r[0]);
+      return ast ? rna([ast], r[1]) : r[0](r[1].data);
+    }
+
+    if (n.t === "K") {
+      const named: TemplateData = {};
+      const [args] = await Promise.all([
+        Promise.all(n.args.map((e) => eva(e, ctx))),
+        ...n.params.map(async ([k, e]) => (named[k] = await eva(e, ctx))),
+      ]);
+      const r = invoke(n, ctx, args, named);
+      return typeof r === "string" ? r : rna(...r);
+    }
+
+    if (n.t === "H") {
+      const params: TemplateData = {};
+      const [args] = await Promise.all([
+        Promise.all(n.args.map((e) => eva(e, ctx))),
+        ...n.params.map(async ([k, e]) => (params[k] = await eva(e, ctx))),
+      ]);
+      return blockOut(n, await custom(n, ctx, args, params, rna), ctx);
+    }
+
+    if (n.t === "B") return rna(n.body, ctx);
+    if (n.t === "S") return rna(n.body, { ...ctx, src: n.src });
+    return "";
+  });
+  return (await Promise.all(parts)).join("");
+};
+
+/**
+ * Renders an AST like rna, but one node at a time, yielding the output so
+ * far whenever a block, partial or #each iteration starts or ends.
+ */
+async function* rns(nodes: Node[], scope: Scope): AsyncGenerator<string> {
+  const ctx = nested(scope, nodes);
+  let buf = "";
+  for (const n of nodes) {
+    if (n.t === "T") {
+      buf += emit(n, n.val, ctx);
+      continue;
+    }
+    if (n.t === "I") {
+      buf += emit(n, show(n, await eva(n.expr, ctx), ctx), ctx);
+      continue;
+    }
+    if (n.t === "M" || n.t === "D" || n.t === "U") continue;
+    if (buf) yield buf;
+    buf = "";
+
+    if (n.t === "F") {
+      let body = n.else;
+      for (const b of n.branches)
+        if (truthy(await eva(b.cond, ctx))) {
+          body = b.body;
+          break;
+        }
+      if (body) yield* rns(body, ctx);
+    }
+
+    if (n.t === "E") {
+      const list = entries(await eva(n.arr, ctx));
+      if (!list)
+        yield fail(ctx, "EACH_NOT_ARRAY", "#each needs array", n.start);
+      else if (!list.length && n.else) yield* rns(n.else, ctx);
+      else
+        for (let i = 0; i < list.length; i++)
+          yield* rns(n.body, iteration(n, ctx, list, i));
+    }
+
+    if (n.t === "R") {
+      const params: TemplateData = {};
+      for (const [k, e] of n.params) params[k] = await eva(e, ctx);
+      const base = n.ctx ? await eva(n.ctx, ctx) : ctx.data;
+      const r = include(n, ctx, base, params);
+      if (typeof r === "string") yield r;
+      else {
+        const ast = asts.get(r[0]);
+        if (ast) yield* rns([ast], r[1]);
+        else yield r[0](r[1].data);
+      }
+    }
+
+    if (n.t === "K") {
+      const named: TemplateData = {};
+      for (const [k, e] of n.params) named[k] = await eva(e, ctx);
+      const args: Value[] = [];
+      for (const e of n.args) args.push(await eva(e, ctx));
+      const r = invoke(n, ctx, args, named);
+      if (typeof r === "string") yield r;
+      else yield* rns(...r);
+    }
+
+    // The handler needs its bodies as strings, so they render with rna
+    if (n.t === "H") {
+      const params: TemplateData = {};
+      for (const [k, e] of n.params) params[k] = await eva(e, ctx);
+      const args: Value[] = [];
+      for (const e of n.args) args.push(await eva(e, ctx));
+      yield blockOut(n, await custom(n, ctx, args, params, rna), ctx);
+    }
+
+    if (n.t === "B") yield* rns(n.body, ctx);
+    if (n.t === "S") yield* rns(n.body, { ...ctx, src: n.src });
+  }
+  if (buf) yield buf;
+}
+
+/** Whether a pair of tag delimiters is usable: two, without whitespace or = */
+const delimitersOk = (d: string[]): boolean =>
+  d.length === 2 && d.every((s) => /^[^\s=]+$/.test(s));
+
+/** Escapes a string for use in a RegExp */
+const reEsc = (s: string): string => s.replace(/[\\^$.*+?()[\]{}|]/g, "\\$&");
+
+/**
+ * Parses a template string into an AST. Problems the parser recovers from
+ * (unclosed blocks, strings, tags, etc.) are passed to report.
  */
-export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
+const parseAst = (
+  tmpl: string,
+  report: Report = () => {},
+  options: Options = {},
+  blocks: { [k: string]: BlockHandler } = {},
+): Node[] => {
   let src = tmpl,
     pos = 0;
 
@@ -305,8 +2404,112 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
     while (pos < src.length && " \t\n\r".includes(src[pos])) pos++;
   };
   const at = (s: string) => src.slice(pos, pos + s.length) === s;
-  const skip = (s: string) => {
-    if (at(s)) pos += s.length;
+
+  // Offsets at which each line starts, for line/column lookups
+  const lines = [0];
+  for (let i = 0; i < src.length; i++) if (src[i] === "\n") lines.push(i + 1);
+
+  /** Source position from start up to end (default: the current offset) */
+  const loc = (start: number, end = pos): Pos => {
+    let lo = 0,
+      hi = lines.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (lines[mid] <= start) lo = mid;
+      else hi = mid - 1;
+    }
+    return { start, end, line: lo + 1, column: start - lines[lo] + 1 };
+  };
+
+  // Tag delimiters: the delimiters option, until a {{=<% %>=}} tag switches them
+  let [od, cd] = options.delimiters || ["{{", "}}"];
+  if (!delimitersOk([od, cd])) {
+    report("INVALID_DELIMITERS", "invalid delimiters", 0);
+    [od, cd] = ["{{", "}}"];
+  }
+
+  // With trimBlocks, the indentation and newline around a block tag that sits
+  // alone on its line are skipped as text: offset of each run -> its end.
+  // Runs after offset from are found again when the delimiters change
+  const cut = new Map<number, number>();
+  const trim = (from: number) => {
+    if (!options.trimBlocks) return;
+    for (const k of cut.keys()) if (k > from) cut.delete(k);
+    const [o, c] = [reEsc(od), reEsc(cd)];
+    const line = new RegExp(
+      `^([ \\t]*)${o}~?[#:/=](?:(?!${c})[^\\n])*${c}[ \\t]*(\\r?\\n|$)`,
+      "gm",
+    );
+    line.lastIndex = from;
+    for (let m; (m = line.exec(src));) {
+      const tag = m.index + m[1].length;
+      const stop = m.index + m[0].length;
+      if (m[1]) cut.set(m.index, tag);
+      cut.set(src.indexOf(cd, tag) + cd.length, stop);
+    }
+  };
+  trim(0);
+
+  /** Length of the {{ or {{~ opening a tag at the current offset, or 0 */
+  const opening = () => (at(od + "~") ? od.length + 1 : at(od) ? od.length : 0);
+
+  /** Whether the current offset is the tag {{name}}, or one starting {{name */
+  const atTag = (name: string, prefix?: boolean) => {
+    const o = opening();
+    if (!o || !src.startsWith(name, pos + o)) return false;
+    const rest = pos + o + name.length;
+    return prefix || src.startsWith(cd, rest) || src.startsWith("~" + cd, rest);
+  };
+
+  /** Like atTag, but a name ending in a space (":slot ") also matches {{name ...}} */
+  const isTag = (name: string) =>
+    name.endsWith(" ")
+      ? atTag(name, true) || atTag(name.trimEnd())
+      : atTag(name);
+
+  /** Length of the {{:else if or {{:elseif opening a branch, or 0 */
+  const elseIf = () =>
+    atTag(":else if", true)
+      ? opening() + 8
+      : atTag(":elseif", true)
+        ? opening() + 7
+        : 0;
+
+  /** Whether the current offset closes a tag: }} or ~}} */
+  const closing = () => at(cd) || at("~" + cd);
+
+  /** Skip the closing }} of a tag, reporting it if missing. ~}} also skips the whitespace after it */
+  const close = () => {
+    skipWs();
+    if (at("~" + cd)) {
+      pos += cd.length + 1;
+      skipWs();
+    } else if (at(cd)) pos += cd.length;
+    else report("UNCLOSED_TAG", `missing ${cd}`, pos);
+  };
+
+  /** Skip to the end of a tag, reporting anything left unparsed */
+  const finish = () => {
+    skipWs();
+    if (pos < src.length && !closing())
+      report("UNEXPECTED_TOKEN", `unexpected "${src[pos]}"`, pos);
+    while (pos < src.length && !closing()) pos++;
+    close();
+  };
+
+  /** Skip a block's closing tag, reporting it against the opening tag if missing */
+  const end = (name: string, open: number) => {
+    if (!atTag(name))
+      return report("UNCLOSED_BLOCK", `missing ${od}${name}${cd}`, open);
+    pos += opening() + name.length;
+    close();
+  };
+
+  // Nesting of blocks and operands being parsed, for the nesting limit
+  let nest = 0;
+  const deeper = (n: number) => {
+    if ((nest += n) > (options.limits?.nesting ?? Infinity))
+      throw overLimit("nesting", tmpl, pos);
   };
 
   /** Parse an identifier (word characters only) */
@@ -317,9 +2520,10 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
   };
 
   /**
-   * Parse an expression: literal, variable, function call, or piped expression.
+   * Parse an operand: literal, variable, function call, parenthesized
+   * expression, or piped expression.
    */
-  const parseExpr = (): Expr => {
+  const operand = (): Expr => {
     skipWs();
     const start = pos;
     let expr: Expr;
@@ -341,8 +2545,19 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
         s += src[pos++];
       }
       if (pos < src.length) pos++;
-      else s = ""; // Unclosed string becomes empty
-      expr = { t: "L", val: s };
+      else {
+        s = ""; // Unclosed string becomes empty
+        report("UNCLOSED_STRING", "unclosed string", start);
+      }
+      expr = { t: "L", val: s, ...loc(start) };
+    }
+    // Parenthesized expression: (expr)
+    else if (ch === "(") {
+      pos++;
+      expr = parseExpr();
+      skipWs();
+      if (src[pos] === ")") pos++;
+      else report("UNCLOSED_PAREN", "missing )", pos);
     }
     // Number literal: integers, decimals, negative numbers
     else if (/[-0-9.]/.test(ch)) {
@@ -360,15 +2575,16 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
         s += src[pos++];
       expr =
         s === "-" || s === "." || s === ""
-          ? { t: "V", path: [s || "-"] }
-          : { t: "L", val: parseFloat(s) };
+          ? { t: "V", path: [s || "-"], ...loc(start) }
+          : { t: "L", val: parseFloat(s), ...loc(start) };
     }
     // Identifier: variable, function call, or keyword (true/false/null)
     else {
       const name = ident();
-      if (name === "true") expr = { t: "L", val: true };
-      else if (name === "false") expr = { t: "L", val: false };
-      else if (name === "null") expr = { t: "L", val: null };
+      const nameEnd = pos;
+      if (name === "true") expr = { t: "L", val: true, ...loc(start) };
+      else if (name === "false") expr = { t: "L", val: false, ...loc(start) };
+      else if (name === "null") expr = { t: "L", val: null, ...loc(start) };
       else {
         skipWs();
         // Function call: name(args...)
@@ -376,7 +2592,7 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
           pos++;
           const args: Expr[] = [];
           skipWs();
-          while (pos < src.length && src[pos] !== ")" && src[pos] !== "}") {
+          while (pos < src.length && src[pos] !== ")" && !closing()) {
             args.push(parseExpr());
             skipWs();
             if (src[pos] === ",") {
@@ -385,7 +2601,8 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
             }
           }
           if (src[pos] === ")") pos++;
-          expr = { t: "C", fn: name, args };
+          else report("UNCLOSED_PAREN", "missing )", pos);
+          expr = { t: "C", fn: name, args, ...loc(start) };
         }
         // Variable with optional dot-path: name.path.to.value
         else {
@@ -394,23 +2611,45 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
             pos++;
             path.push(ident());
           }
-          expr = { t: "V", path };
+          expr = {
+            t: "V",
+            path,
+            ...loc(start, path.length > 1 ? pos : nameEnd),
+          };
         }
       }
     }
 
+    // Member access on a variable, call or group: .name or [expr]
+    while (expr.t !== "L") {
+      let key: Expr;
+      if (src[pos] === "[") {
+        pos++;
+        key = parseExpr();
+        skipWs();
+        if (src[pos] === "]") pos++;
+        else report("UNCLOSED_BRACKET", "missing ]", pos);
+      } else if (src[pos] === ".") {
+        const keyAt = ++pos;
+        key = { t: "L", val: ident(), ...loc(keyAt) };
+      } else break;
+      expr = { t: "G", obj: expr, key, ...loc(start) };
+    }
+
     // Parse any pipes: | pipeName or | pipeName(args...)
     skipWs();
-    while (src[pos] === "|") {
+    while (src[pos] === "|" && src[pos + 1] !== "|") {
       pos++;
       skipWs();
+      const fnAt = pos;
       const fn = ident();
+      let end = pos;
       skipWs();
       const args: Expr[] = [];
       if (src[pos] === "(") {
         pos++;
         skipWs();
-        while (pos < src.length && src[pos] !== ")" && src[pos] !== "}") {
+        while (pos < src.length && src[pos] !== ")" && !closing()) {
           args.push(parseExpr());
           skipWs();
           if (src[pos] === ",") {
@@ -419,36 +2658,152 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
           }
         }
         if (src[pos] === ")") pos++;
+        else report("UNCLOSED_PAREN", "missing )", pos);
+        end = pos;
       }
-      expr = { t: "P", left: expr, fn, args };
+      expr = { t: "P", left: expr, fn, args, at: fnAt, ...loc(start, end) };
+      skipWs();
+    }
+
+    // Safety: advance at least one char if we didn't parse anything
+    if (pos === start && pos < src.length && !closing()) pos++;
+    return expr;
+  };
+
+  /** Parse the operand after op with parse, reporting it if missing */
+  const rhs = (op: string, parse: () => Expr) => {
+    skipWs();
+    if (pos >= src.length || closing() || src[pos] === ")")
+      report("MISSING_OPERAND", `missing operand after ${op}`, pos);
+    return parse();
+  };
+
+  /** Parse a prefix operator expression: !a */
+  const unary = (): Expr => {
+    skipWs();
+    const start = pos;
+    deeper(1);
+    let expr: Expr;
+    if (src[pos] !== "!" || src[pos + 1] === "=") expr = operand();
+    else {
+      pos++;
+      expr = { t: "O", op: "!", args: [rhs("!", unary)], ...loc(start) };
+    }
+    deeper(-1);
+    return expr;
+  };
+
+  // "call" followed by a name starts a macro call
+  const callKw = /call\s+[A-Za-z_]/y;
+
+  /** Whether the current offset is the + closing a raw tag: +}} */
+  const rawEnd = () => {
+    const from = pos++;
+    skipWs();
+    const r = closing();
+    pos = from;
+    return r;
+  };
+
+  /** Parse a binary operator expression at levels[level] or tighter */
+  const binary = (level = 0): Expr => {
+    if (level === levels.length) return unary();
+    skipWs();
+    const start = pos;
+    let expr = binary(level + 1);
+    for (;;) {
       skipWs();
+      // Delimiters like %> start with an operator
+      if (closing()) return expr;
+      const op = levels[level].find((o) => at(o));
+      if (!op || (op === "+" && rawEnd())) return expr;
+      pos += op.length;
+      const right = rhs(op, () => binary(level + 1));
+      expr = { t: "O", op, args: [expr, right], ...loc(start) };
     }
+  };
 
-    // Safety: advance at least one char if we didn't parse anything
-    if (pos === start && pos < src.length) pos++;
-    return expr;
+  /**
+   * Parse an expression: operands joined by operators, or cond ? a : b.
+   */
+  const parseExpr = (): Expr => {
+    skipWs();
+    const start = pos;
+    const cond = binary();
+    skipWs();
+    if (src[pos] !== "?") return cond;
+    pos++;
+    const a = rhs("?", parseExpr);
+    skipWs();
+    let b: Expr = { t: "L", val: "", ...loc(pos) };
+    if (src[pos] === ":") {
+      pos++;
+      b = rhs(":", parseExpr);
+    } else report("MISSING_OPERAND", "missing : after ?", pos);
+    return { t: "O", op: "?", args: [cond, a, b], ...loc(start) };
   };
 
   /**
    * Parse template nodes until we hit a stop sequence (e.g., {{/if}}, {{:else}}).
    */
-  const parseNodes = (stops: string[] = []): Node[] => {
+  const parseNodes = (stops: string[] = [], branch?: boolean): Node[] => {
+    deeper(1);
     const result: Node[] = [];
-    outer: while (pos < src.length) {
-      // Check for stop sequences
-      for (const s of stops) if (at(s)) break outer;
+    const stop = () => stops.some(isTag) || (branch && elseIf());
+    while (pos < src.length) {
+      // Check for stop tags
+      if (stop()) break;
 
       // Escaped delimiter: \{{ becomes literal {{
-      if (src[pos] === "\\" && at("\\{{")) {
-        pos++;
-        result.push({ t: "T", val: "{{" });
-        pos += 2;
+      if (src[pos] === "\\" && at("\\" + od)) {
+        pos += od.length + 1;
+        result.push({ t: "T", val: od, ...loc(pos - od.length - 1) });
         continue;
       }
 
       // Template tag: {{ ... }}
-      if (at("{{")) {
-        pos += 2;
+      if (at(od)) {
+        const open = pos;
+        pos += opening();
+
+        // Delimiter switch: {{=<% %>=}}, after which tags are <% ... %>
+        if (src[pos] === "=") {
+          const e = src.indexOf("=" + cd, pos + 1);
+          const pair =
+            e < 0
+              ? []
+              : src
+                  .slice(pos + 1, e)
+                  .trim()
+                  .split(/\s+/);
+          if (delimitersOk(pair)) {
+            pos = e + 1;
+            close();
+            [od, cd] = pair;
+            trim(pos);
+          } else {
+            report("INVALID_DELIMITERS", "invalid delimiters", open);
+            while (pos < src.length && !closing()) pos++;
+            close();
+          }
+          continue;
+        }
+
+        // Comment: {{! note }}, or {{!-- note --}} which may contain }}
+        if (src[pos] === "!") {
+          const long = src.startsWith("!--", pos) ? 1 : undefined;
+          const from = pos + (long ? 3 : 1);
+          const re = new RegExp(`${long ? "--" : ""}~?${reEsc(cd)}`, "g");
+          re.lastIndex = from;
+          const m = re.exec(src);
+          if (!m)
+            report("UNCLOSED_TAG", `missing ${long ? "--" : ""}${cd}`, open);
+          pos = m ? m.index + (long ? 2 : 0) : src.length;
+          const val = src.slice(from, m ? m.index : pos);
+          if (m) close();
+          result.push({ t: "M", val, long, ...loc(open) });
+          continue;
+        }
         skipWs();
 
         // Raw output: {{+ expr +}}
@@ -457,11 +2812,38 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
           skipWs();
           const expr = parseExpr();
           skipWs();
-          skip("+");
+          if (at("+")) pos++;
+          else report("UNCLOSED_TAG", `missing +${cd}`, pos);
+          finish();
+          result.push({ t: "I", expr, raw: 1, ...loc(open) });
+          continue;
+        }
+
+        // Partial: {{> name}}, {{> name ctx}}, {{> name key=expr ...}}
+        if (src[pos] === ">") {
+          pos++;
+          skipWs();
+          let name = "";
+          while (pos < src.length && /[\w/.-]/.test(src[pos]))
+            name += src[pos++];
+          if (!name) report("MISSING_NAME", "partial needs a name", pos);
+          let ctxExpr: Expr | undefined;
+          const params: [string, Expr][] = [];
           skipWs();
-          while (pos < src.length && !at("}}")) pos++;
-          skip("}}");
-          result.push({ t: "I", expr, raw: 1 });
+          while (pos < src.length && !closing()) {
+            const start = pos;
+            const k = ident();
+            if (k && src[pos] === "=" && src[pos + 1] !== "=") {
+              pos++;
+              params.push([k, parseExpr()]);
+            } else {
+              pos = start;
+              ctxExpr = parseExpr();
+            }
+            skipWs();
+          }
+          close();
+          result.push({ t: "R", name, ctx: ctxExpr, params, ...loc(open) });
           continue;
         }
 
@@ -475,44 +2857,28 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
           if (kw === "if") {
             const branches: { cond: Expr; body: Node[] }[] = [];
             const cond = parseExpr();
-            skipWs();
-            skip("}}");
-            branches.push({
-              cond,
-              body: parseNodes([
-                "{{:else if",
-                "{{:elseif",
-                "{{:else}}",
-                "{{/if}}",
-              ]),
-            });
+            close();
+            branches.push({ cond, body: parseNodes([":else", "/if"], true) });
 
             // Parse else-if branches
-            while (at("{{:else if") || at("{{:elseif")) {
-              pos += at("{{:elseif") ? 9 : 10;
-              skipWs();
+            for (let n; (n = elseIf());) {
+              pos += n;
               const cond2 = parseExpr();
-              skipWs();
-              skip("}}");
+              close();
               branches.push({
                 cond: cond2,
-                body: parseNodes([
-                  "{{:else if",
-                  "{{:elseif",
-                  "{{:else}}",
-                  "{{/if}}",
-                ]),
+                body: parseNodes([":else", "/if"], true),
               });
             }
 
             // Parse else branch
             let elseBody: Node[] | undefined;
-            if (at("{{:else}}")) {
-              pos += 9;
-              elseBody = parseNodes(["{{/if}}"]);
+            if (atTag(":else")) {
+              end(":else", open);
+              elseBody = parseNodes(["/if"]);
             }
-            skip("{{/if}}");
-            result.push({ t: "F", branches, else: elseBody });
+            end("/if", open);
+            result.push({ t: "F", branches, else: elseBody, ...loc(open) });
             continue;
           }
 
@@ -520,10 +2886,18 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
           if (kw === "each") {
             const arrExpr = parseExpr();
             skipWs();
+            const asAt = pos;
             const asKw = ident();
             skipWs();
             if (asKw !== "as") {
-              result.push({ t: "T", val: `[Error: #each missing 'as']` });
+              report("MISSING_AS", "#each missing 'as'", asAt);
+              while (pos < src.length && !closing()) pos++;
+              close();
+              result.push({
+                t: "T",
+                val: `[Error: #each missing 'as']`,
+                ...loc(open),
+              });
               continue;
             }
             const itemName = ident();
@@ -535,15 +2909,15 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
               idxName = ident();
               skipWs();
             }
-            skip("}}");
+            close();
 
-            const body = parseNodes(["{{:else}}", "{{/each}}"]);
+            const body = parseNodes([":else", "/each"]);
             let elseBody: Node[] | undefined;
-            if (at("{{:else}}")) {
-              pos += 9;
-              elseBody = parseNodes(["{{/each}}"]);
+            if (atTag(":else")) {
+              end(":else", open);
+              elseBody = parseNodes(["/each"]);
             }
-            skip("{{/each}}");
+            end("/each", open);
             result.push({
               t: "E",
               arr: arrExpr,
@@ -551,60 +2925,766 @@ export const compile = <T = TemplateData>(tmpl: string): Template<T> => {
               idx: idxName,
               body,
               else: elseBody,
+              ...loc(open),
+            });
+            continue;
+          }
+
+          // Layout: {{#extends "base"}} - only the blocks of this template are kept
+          if (kw === "extends") {
+            const nameAt = pos;
+            const e = parseExpr();
+            if (e.t !== "L" || typeof e.val !== "string")
+              report("MISSING_NAME", "#extends needs a template name", nameAt);
+            close();
+            result.push({
+              t: "X",
+              name: e.t === "L" ? String(e.val) : "",
+              ...loc(open),
+            });
+            continue;
+          }
+
+          // Overridable region: {{#block name}}...{{/block}}
+          if (kw === "block") {
+            const name = ident();
+            if (!name) report("MISSING_NAME", "#block needs a name", pos);
+            close();
+            const body = parseNodes(["/block"]);
+            end("/block", open);
+            result.push({ t: "B", name, body, ...loc(open) });
+            continue;
+          }
+
+          // Macro: {{#define name(param, param=default)}}...{{/define}}
+          if (kw === "define") {
+            const name = ident();
+            if (!name) report("MISSING_NAME", "#define needs a name", pos);
+            const params: [string, Expr | undefined][] = [];
+            skipWs();
+            if (src[pos] === "(") {
+              pos++;
+              for (skipWs(); pos < src.length && /\w/.test(src[pos]);) {
+                const k = ident();
+                skipWs();
+                let dflt: Expr | undefined;
+                if (src[pos] === "=") {
+                  pos++;
+                  dflt = parseExpr();
+                  skipWs();
+                }
+                params.push([k, dflt]);
+                if (src[pos] === ",") pos++;
+                skipWs();
+              }
+              if (src[pos] === ")") pos++;
+              else report("UNCLOSED_PAREN", "missing )", pos);
+            }
+            close();
+            const body = parseNodes(["/define"]);
+            end("/define", open);
+            result.push({ t: "D", name, params, body, ...loc(open) });
+            continue;
+          }
+
+          // Macro import: {{#import "name" as alias}}
+          if (kw === "import") {
+            const nameAt = pos;
+            const e = parseExpr();
+            if (e.t !== "L" || typeof e.val !== "string")
+              report("MISSING_NAME", "#import needs a template name", nameAt);
+            skipWs();
+            const asAt = pos;
+            if (ident() !== "as")
+              report("MISSING_AS", "#import missing 'as'", asAt);
+            skipWs();
+            const as = ident();
+            finish();
+            const name = e.t === "L" ? String(e.val) : "";
+            result.push({ t: "U", name, as, ...loc(open) });
+            continue;
+          }
+
+          // Custom block: {{#name args key=expr}}...{{:slot name}}...{{:else}}...{{/name}}
+          if (has(blocks as never, kw)) {
+            const args: Expr[] = [];
+            const params: [string, Expr][] = [];
+            while (pos < src.length && !closing()) {
+              const start = pos;
+              const k = ident();
+              if (k && src[pos] === "=" && src[pos + 1] !== "=") {
+                pos++;
+                params.push([k, parseExpr()]);
+              } else {
+                pos = start;
+                args.push(parseExpr());
+              }
+              skipWs();
+              if (src[pos] === ",") pos++;
+              skipWs();
+            }
+            close();
+            const stops = [":else", ":slot ", `/${kw}`];
+            const body = parseNodes(stops);
+            const slots: { name: string; body: Node[] }[] = [];
+            let elseBody: Node[] | undefined;
+            for (;;) {
+              if (isTag(":slot ")) {
+                pos += opening() + 5;
+                skipWs();
+                const name = ident();
+                if (!name) report("MISSING_NAME", ":slot needs a name", pos);
+                close();
+                slots.push({ name, body: parseNodes(stops) });
+              } else if (!elseBody && atTag(":else")) {
+                end(":else", open);
+                elseBody = parseNodes(stops.slice(1));
+              } else break;
+            }
+            end(`/${kw}`, open);
+            result.push({
+              t: "H",
+              name: kw,
+              args,
+              params,
+              body,
+              slots,
+              else: elseBody,
+              ...loc(open),
             });
             continue;
           }
 
           // Unknown block type
-          result.push({ t: "T", val: `[Error: unknown #${kw}]` });
+          report("UNKNOWN_BLOCK", `unknown #${kw}`, open);
+          close();
+          result.push({ t: "T", val: `[Error: unknown #${kw}]`, ...loc(open) });
+          continue;
+        }
+
+        // Closing or else tag without a matching open block
+        if (src[pos] === "/" || src[pos] === ":") {
+          const e = src.indexOf(cd, pos);
+          report(
+            "UNEXPECTED_TAG",
+            `unexpected ${src.slice(open, e < 0 ? undefined : e + cd.length)}`,
+            open,
+          );
+          pos = e < 0 ? src.length : e;
+          close();
+          continue;
+        }
+
+        // Macro call: {{ call name(arg, key=value) }} or {{ call alias.name() }}
+        callKw.lastIndex = pos;
+        if (callKw.test(src)) {
+          pos += 4;
           skipWs();
-          skip("}}");
+          let name = ident();
+          if (src[pos] === ".") name += src[pos++] + ident();
+          skipWs();
+          const args: Expr[] = [];
+          const params: [string, Expr][] = [];
+          if (src[pos] === "(") {
+            pos++;
+            for (
+              skipWs();
+              pos < src.length && src[pos] !== ")" && !closing();
+            ) {
+              const start = pos;
+              const k = ident();
+              skipWs();
+              if (k && src[pos] === "=" && src[pos + 1] !== "=") {
+                pos++;
+                params.push([k, parseExpr()]);
+              } else {
+                pos = start;
+                args.push(parseExpr());
+              }
+              skipWs();
+              if (src[pos] === ",") pos++;
+              skipWs();
+            }
+            if (src[pos] === ")") pos++;
+            else report("UNCLOSED_PAREN", "missing )", pos);
+          }
+          finish();
+          result.push({ t: "K", name, args, params, ...loc(open) });
           continue;
         }
 
         // Simple interpolation: {{ expr }}
         const expr = parseExpr();
-        skipWs();
-        while (pos < src.length && !at("}}")) pos++;
-        skip("}}");
-        result.push({ t: "I", expr });
+        finish();
+        result.push({ t: "I", expr, ...loc(open) });
         continue;
       }
 
-      // Plain text: consume until next tag or stop sequence
+      // Plain text: consume until next tag or stop tag
+      const start = pos;
       let text = "";
       while (pos < src.length) {
-        for (const s of stops)
-          if (at(s)) {
-            if (text) result.push({ t: "T", val: text });
-            continue outer;
-          }
-        if (src[pos] === "\\" && at("\\{{")) break;
-        if (at("{{")) break;
+        if (stop() || at(od)) break;
+        if (src[pos] === "\\" && at("\\" + od)) break;
+        const skip = cut.get(pos);
+        if (skip !== undefined) {
+          pos = skip;
+          continue;
+        }
+        if (at(cd)) {
+          report("STRAY_DELIMITER", `${cd} outside of a tag`, pos, true);
+          text += src.slice(pos, (pos += cd.length - 1));
+        }
         text += src[pos++];
       }
-      if (text) result.push({ t: "T", val: text });
+      // {{~ strips the whitespace before the tag
+      if (at(od + "~")) text = text.trimEnd();
+      if (text) result.push({ t: "T", val: text, ...loc(start) });
     }
+    deeper(-1);
     return result;
   };
 
-  // Parse template into AST and return render function
-  const ast = parseNodes();
-  return (data: T) => rn(ast, data as TemplateData);
+  return parseNodes();
+};
+
+/**
+ * Returns a reporter that throws parse problems as TemplateErrors in strict mode.
+ */
+const reporter = (src: string, options: Options): Report | undefined =>
+  options.strict
+    ? (code, msg, at, warn) => {
+        if (!warn) throw new TemplateError(code, msg, src, at);
+      }
+    : undefined;
+
+/**
+ * Quotes a string as a template string literal.
+ */
+const quote = (s: string): string =>
+  '"' +
+  s
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t")
+    .replace(/\r/g, "\\r") +
+  '"';
+
+/** How tightly an expression binds, to decide where print needs parentheses */
+const prec = (e: Expr): number =>
+  e.t === "O"
+    ? e.op === "?"
+      ? 0
+      : e.op === "!"
+        ? 7
+        : 1 + levels.findIndex((l) => l.includes(e.op))
+    : e.t === "P"
+      ? 8
+      : 9;
+
+/** Prints an expression, in parentheses if it binds looser than min */
+const group = (e: Expr, min: number) =>
+  prec(e) < min ? `(${printExpr(e)})` : printExpr(e);
+
+/**
+ * Prints an expression back to template source.
+ */
+const printExpr = (e: Expr): string => {
+  if (e.t === "L")
+    return typeof e.val === "string" ? quote(e.val) : String(e.val);
+  if (e.t === "V") return e.path.join(".");
+  if (e.t === "G") {
+    const { key } = e;
+    return `${group(e.obj, 9)}${
+      key.t === "L" && typeof key.val === "string" && /^\w+$/.test(key.val)
+        ? `.${key.val}`
+        : `[${printExpr(key)}]`
+    }`;
+  }
+  if (e.t === "O") {
+    const [a, b, c] = e.args;
+    if (e.op === "?")
+      return `${group(a, 1)} ? ${printExpr(b)} : ${printExpr(c)}`;
+    if (e.op === "!") return `!${group(a, 7)}`;
+    return `${group(a, prec(e))} ${e.op} ${group(b, prec(e) + 1)}`;
+  }
+  const args = e.args.map(printExpr).join(", ");
+  if (e.t === "C") return `${e.fn}(${args})`;
+  return `${group(e.left, 8)} | ${e.fn}${args ? `(${args})` : ""}`;
+};
+
+/**
+ * Prints nodes back to template source.
+ */
+const printNodes = (nodes: Node[]): string => {
+  let out = "";
+  for (const n of nodes) {
+    if (n.t === "T") out += n.val.replace(/\{\{/g, "\\{{");
+    else if (n.t === "I")
+      out += n.raw
+        ? `{{+ ${printExpr(n.expr)} +}}`
+        : `{{ ${printExpr(n.expr)} }}`;
+    else if (n.t === "F") {
+      n.branches.forEach((b, i) => {
+        out += `{{${i ? ":else if" : "#if"} ${printExpr(b.cond)}}}`;
+        out += printNodes(b.body);
+      });
+      if (n.else) out += `{{:else}}${printNodes(n.else)}`;
+      out += "{{/if}}";
+    } else if (n.t === "E") {
+      out += `{{#each ${printExpr(n.arr)} as ${n.as}`;
+      out += `${n.idx ? `, ${n.idx}` : ""}}}${printNodes(n.body)}`;
+      if (n.else) out += `{{:else}}${printNodes(n.else)}`;
+      out += "{{/each}}";
+    } else if (n.t === "R") {
+      out += `{{> ${n.name}`;
+      if (n.ctx) out += ` ${printExpr(n.ctx)}`;
+      for (const [k, e] of n.params) out += ` ${k}=${printExpr(e)}`;
+      out += "}}";
+    } else if (n.t === "B")
+      out += `{{#block ${n.name}}}${printNodes(n.body)}{{/block}}`;
+    else if (n.t === "X") out += `{{#extends ${quote(n.name)}}}`;
+    else if (n.t === "D") {
+      const params = n.params.map(([k, e]) => (e ? `${k}=${printExpr(e)}` : k));
+      out += `{{#define ${n.name}(${params.join(", ")})}}`;
+      out += `${printNodes(n.body)}{{/define}}`;
+    } else if (n.t === "U") out += `{{#import ${quote(n.name)} as ${n.as}}}`;
+    else if (n.t === "K") {
+      const args = n.args.map(printExpr);
+      for (const [k, e] of n.params) args.push(`${k}=${printExpr(e)}`);
+      out += `{{ call ${n.name}(${args.join(", ")}) }}`;
+    } else if (n.t === "H") {
+      const args = n.args.map(printExpr);
+      for (const [k, e] of n.params) args.push(`${k}=${printExpr(e)}`);
+      out += `{{#${[n.name, ...args].join(" ")}}}${printNodes(n.body)}`;
+      for (const b of n.slots)
+        out += `{{:slot ${b.name}}}${printNodes(b.body)}`;
+      if (n.else) out += `{{:else}}${printNodes(n.else)}`;
+      out += `{{/${n.name}}}`;
+    } else if (n.t === "M")
+      out +=
+        n.long || n.val.includes("}}") ? `{{!--${n.val}--}}` : `{{!${n.val}}}`;
+    else out += printNodes(n.body);
+  }
+  return out;
+};
+
+/**
+ * A problem found by validate(). Errors are problems that strict mode throws
+ * on; warnings are valid syntax that is probably a mistake.
+ */
+export type Diagnostic = Pos & {
+  severity: "error" | "warning";
+  code: string;
+  message: string;
+};
+
+/**
+ * Options for validate().
+ */
+export type ValidateOptions = {
+  /** Function names templates may call, instead of the registered functions */
+  functions?: string[];
+  /** Tag delimiters the template is written with, as with compile() */
+  delimiters?: [string, string];
+};
+
+/**
+ * Collects parse problems, unknown functions and missing arguments in a
+ * template. Argument counts are only checked for built-ins that have not been
+ * overridden in the registry.
+ */
+const lint = (
+  src: string,
+  registry: { [k: string]: Fn },
+  blocks: { [k: string]: BlockHandler },
+  { functions: allow, delimiters }: ValidateOptions = {},
+): Diagnostic[] => {
+  const out: Diagnostic[] = [];
+  const add = (
+    code: string,
+    message: string,
+    start: number,
+    end = start,
+    warn?: boolean,
+  ) => {
+    const [line, column] = lineCol(src, start);
+    const severity = warn ? "warning" : "error";
+    out.push({ severity, code, message, start, end, line, column });
+  };
+  const nodes = parseAst(
+    src,
+    (code, msg, at, warn) => add(code, msg, at, at, warn),
+    { delimiters },
+    blocks,
+  );
+
+  const expr = (e: Expr | undefined, inBlock: boolean): void => {
+    if (!e || e.t === "L" || e.t === "V") return;
+    if (e.t === "G") {
+      expr(e.obj, inBlock);
+      return expr(e.key, inBlock);
+    }
+    if (e.t === "O") {
+      for (const a of e.args) expr(a, inBlock);
+      return;
+    }
+    if (e.t === "P") expr(e.left, inBlock);
+    for (const a of e.args) expr(a, inBlock);
+    if (e.fn === "super" && inBlock) return;
+    const at = e.t === "P" ? e.at : e.start;
+    const known = allow ? allow.includes(e.fn) : has(registry as never, e.fn);
+    const args = e.args.length + (e.t === "P" ? 1 : 0);
+    if (!known) add("UNKNOWN_FUNCTION", `unknown ${e.fn}()`, at, e.end);
+    else if (registry[e.fn] === fns[e.fn] && args < arity[e.fn])
+      add("MISSING_ARGS", `${e.fn}() needs ${arity[e.fn]} args`, at, e.end);
+  };
+  const walk = (nodes: Node[], inBlock: boolean): void => {
+    for (const n of nodes) {
+      if (n.t === "I") expr(n.expr, inBlock);
+      if (n.t === "F") for (const b of n.branches) expr(b.cond, inBlock);
+      if (n.t === "E") expr(n.arr, inBlock);
+      if (n.t === "R") {
+        expr(n.ctx, inBlock);
+        for (const [, e] of n.params) expr(e, inBlock);
+      }
+      if (n.t === "K" || n.t === "H") {
+        for (const e of n.args) expr(e, inBlock);
+        for (const [, e] of n.params) expr(e, inBlock);
+      }
+      if (n.t === "D") for (const [, e] of n.params) expr(e, inBlock);
+      mapBodies(n, (b) => (walk(b, inBlock || n.t === "B"), b));
+    }
+  };
+  walk(nodes, false);
+  return out.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Prints an AST from parse() (or a list of its nodes) back to equivalent
+ * template source. Whitespace inside tags is normalized, and ~ markers are
+ * not printed since the parser already trimmed the text around them.
+ *
+ * @example
+ * print(parse("{{name|uppercase}}")) // "{{ name | uppercase }}"
+ */
+export const print = (ast: TemplateAST | Node[]): string => {
+  if (Array.isArray(ast)) return printNodes(ast);
+  if (ast.version !== AST_VERSION)
+    throw new Error(`Unsupported AST version ${ast.version}`);
+  return printNodes(ast.body);
+};
+
+/**
+ * An isolated set of compile/render/register functions, see createEnvironment().
+ * Partials are looked up by name at render time so they can be registered
+ * after the templates that include them (and include themselves).
+ */
+export type Environment = {
+  compile: <T = TemplateData>(tmpl: string, options?: Options) => Template<T>;
+  render: <T = TemplateData>(
+    tmpl: string,
+    data: T,
+    options?: Options,
+  ) => string;
+  compileAsync: <T = TemplateData>(
+    tmpl: string,
+    options?: Options,
+  ) => AsyncTemplate<T>;
+  renderAsync: <T = TemplateData>(
+    tmpl: string,
+    data: T,
+    options?: Options,
+  ) => Promise<string>;
+  renderStream: <T = TemplateData>(
+    tmpl: string,
+    data: T,
+    options?: Options,
+  ) => TemplateStream;
+  registerFunction: (name: string, fn: AsyncCustomFn) => void;
+  registerBlock: (name: string, handler: BlockHandler) => void;
+  registerPartial: (name: string, tmpl: string | Template) => void;
+  registerMessages: (locale: string, messages: Messages) => void;
+  validate: (source: string, options?: ValidateOptions) => Diagnostic[];
+  parse: (source: string, options?: Options) => TemplateAST;
+  precompile: (tmpl: string, options?: Options) => string;
+  hydrate: <T = TemplateData>(
+    precompiled: string | PrecompiledTemplate,
+    options?: Options,
+  ) => Template<T>;
+};
+
+/**
+ * Configuration for createEnvironment().
+ */
+export type EnvironmentConfig = {
+  /** Custom functions to register, as with registerFunction() */
+  functions?: { [k: string]: AsyncCustomFn };
+  /** Custom blocks to register, as with registerBlock() */
+  blocks?: { [k: string]: BlockHandler };
+  /** Partials to register, as with registerPartial() */
+  partials?: { [k: string]: string | Template };
+  /** Message catalogs by locale, as with registerMessages() */
+  messages?: { [locale: string]: Messages };
+  /** Default options for every template compiled in the environment */
+  options?: Options;
+  /** Names of built-in functions to leave out of the environment */
+  exclude?: string[];
+};
+
+/**
+ * Creates an isolated environment with its own function and partial
+ * registries. It starts with the built-in functions (minus any excluded),
+ * and registering into it never affects another environment.
+ *
+ * @example
+ * const env = createEnvironment({ functions: { double: (n) => n * 2 } });
+ * env.render("{{ double(5) }}", {}) // "10"
+ * render("{{ double(5) }}", {}) // "[Error: unknown double()]"
+ */
+export const createEnvironment = (
+  config: EnvironmentConfig = {},
+): Environment => {
+  const env: Env = {
+    fns: { ...fns },
+    blocks: {},
+    partials: {},
+    messages: {},
+    options: config.options || {},
+  };
+  for (const k of config.exclude || []) delete env.fns[k];
+
+  // Top-level scope for one render of a template, with a fresh budget and
+  // the data narrowed to the paths option
+  const scopeFor = (
+    data: unknown,
+    env: Env,
+    src: string,
+    ast: Node[],
+  ): Scope => {
+    const { paths, readOnly: ro } = env.options;
+    const shown = paths
+      ? project(data as TemplateData, paths)
+      : (data as TemplateData);
+    return {
+      data: ro ? readOnly(shown) : shown,
+      env,
+      src,
+      depth: 0,
+      budget: budget(env.options),
+      macros: macrosOf(ast, src),
+    };
+  };
+
+  // Parse template into AST and resolve any #extends, for compile/compileAsync
+  const build = (tmpl: string, options?: Options): [Node[], Env] => {
+    const scope = options
+      ? { ...env, options: { ...env.options, ...options } }
+      : env;
+    const report = reporter(tmpl, scope.options);
+
+    let ast: Node[];
+    try {
+      const size = scope.options.limits?.size ?? Infinity;
+      // Located at the first character over the limit
+      if (tmpl.length > size) throw overLimit("size", tmpl, size);
+      ast = parseAst(tmpl, report, scope.options, env.blocks);
+    } catch (e) {
+      // With the inline limits mode, the template renders the error instead
+      return [[{ t: "T", val: aborted(e, scope.options), ...loc0 }], scope];
+    }
+    const x = ast.find((n) => n.t === "X");
+    if (x && x.t === "X") {
+      const base = env.partials[x.name];
+      const parent = base && asts.get(base);
+      if (!parent)
+        report?.("UNKNOWN_PARTIAL", `unknown partial ${x.name}`, x.start);
+      const { start, end, line, column } = x;
+      const val = `[Error: unknown partial ${x.name}]`;
+      // The child's own macros and imports are kept, outside its blocks too
+      const macros = ast.filter((n) => n.t === "D" || n.t === "U");
+      ast = parent
+        ? [
+            ...extend([parent], blocksOf(ast), tmpl),
+            { t: "S", src: tmpl, body: macros },
+          ]
+        : [{ t: "T", val, start, end, line, column }];
+    }
+    const { contextual, escape = "html" } = scope.options;
+    if (contextual && escape === "html") {
+      ast = contextualize(ast, textCx(), tmpl, scope.options);
+    }
+    // Calls the functions option rules out fail now, whatever strict says
+    if (scope.options.functions)
+      eachCall(ast, tmpl, (e, src) => {
+        if (!allowed(scope.options, e.fn))
+          throw new TemplateError(
+            "FORBIDDEN_FUNCTION",
+            `${e.fn}() is not allowed`,
+            src,
+            e.t === "P" ? e.at : e.start,
+          );
+      });
+    return [ast, scope];
+  };
+
+  // Template function rendering a built AST, parsed from tmpl
+  const template = <T>(ast: Node[], env: Env, tmpl: string): Template<T> => {
+    const fn = (data: T) => {
+      try {
+        return rn(ast, scopeFor(data, env, tmpl, ast));
+      } catch (e) {
+        return aborted(e, env.options);
+      }
+    };
+    asts.set(fn, { t: "S", src: tmpl, body: ast });
+    return fn;
+  };
+
+  const compile = <T = TemplateData>(
+    tmpl: string,
+    options?: Options,
+  ): Template<T> => template<T>(...build(tmpl, options), tmpl);
+
+  const compileAsync = <T = TemplateData>(
+    tmpl: string,
+    options?: Options,
+  ): AsyncTemplate<T> => {
+    const [ast, env] = build(tmpl, options);
+    const time = env.options.limits?.time;
+    return (data: T) => {
+      const run = rna(ast, scopeFor(data, env, tmpl, ast));
+      // Stop waiting on slow promises once the time limit has passed
+      const timed =
+        time === undefined
+          ? run
+          : new Promise<string>((resolve, reject) => {
+              const t = setTimeout(() => reject(overLimit("time")), time);
+              run.then(resolve, reject).finally(() => clearTimeout(t));
+            });
+      return timed.catch((e) => aborted(e, env.options));
+    };
+  };
+
+  const renderStream = <T = TemplateData>(
+    tmpl: string,
+    data: T,
+    options?: Options,
+  ): TemplateStream => {
+    const [ast, env] = build(tmpl, options);
+    async function* chunks() {
+      try {
+        yield* rns(ast, scopeFor(data, env, tmpl, ast));
+      } catch (e) {
+        yield aborted(e, env.options);
+      }
+    }
+    return {
+      [Symbol.asyncIterator]: chunks,
+      toReadableStream: () => {
+        const it = chunks(),
+          enc = new TextEncoder();
+        return new ReadableStream<Uint8Array>({
+          pull: async (controller) => {
+            const r = await it.next();
+            if (r.done) controller.close();
+            else controller.enqueue(enc.encode(r.value));
+          },
+          cancel: async () => {
+            await it.return(undefined);
+          },
+        });
+      },
+    };
+  };
+
+  const precompile = (tmpl: string, options?: Options): string => {
+    const [body] = build(tmpl, options);
+    return JSON.stringify({ version: AST_VERSION, src: tmpl, body });
+  };
+
+  const hydrate = <T = TemplateData>(
+    precompiled: string | PrecompiledTemplate,
+    options?: Options,
+  ): Template<T> => {
+    const p: PrecompiledTemplate =
+      typeof precompiled === "string" ? JSON.parse(precompiled) : precompiled;
+    if (p.version !== AST_VERSION)
+      throw new Error(
+        `Precompiled template version ${p.version} doesn't match ${AST_VERSION}, precompile it again`,
+      );
+    const scope = options
+      ? { ...env, options: { ...env.options, ...options } }
+      : env;
+    return template<T>(p.body, scope, p.src);
+  };
+
+  const registerFunction = (name: string, fn: AsyncCustomFn): void => {
+    // Promises are passed through as values, for eva (renderAsync) to await
+    env.fns[name] = (ctx, ...a) => fn(...a.map((e) => ev(e, ctx))) as Value;
+  };
+
+  const registerBlock = (name: string, handler: BlockHandler): void => {
+    env.blocks[name] = handler;
+  };
+
+  const registerPartial = (name: string, tmpl: string | Template): void => {
+    env.partials[name] = typeof tmpl === "string" ? compile(tmpl) : tmpl;
+  };
+
+  const registerMessages = (locale: string, messages: Messages): void => {
+    env.messages[locale] = { ...env.messages[locale], ...messages };
+  };
+
+  for (const k in config.functions) registerFunction(k, config.functions[k]);
+  for (const k in config.blocks) registerBlock(k, config.blocks[k]);
+  for (const k in config.partials) registerPartial(k, config.partials[k]);
+  for (const k in config.messages) registerMessages(k, config.messages[k]);
+
+  return {
+    compile,
+    render: <T = TemplateData>(tmpl: string, data: T, options?: Options) =>
+      compile<T>(tmpl, options)(data),
+    compileAsync,
+    renderAsync: <T = TemplateData>(tmpl: string, data: T, options?: Options) =>
+      compileAsync<T>(tmpl, options)(data),
+    renderStream,
+    registerFunction,
+    registerBlock,
+    registerPartial,
+    registerMessages,
+    validate: (source, options = {}) =>
+      lint(source, env.fns, env.blocks, options),
+    parse: (source, options = {}) => ({
+      version: AST_VERSION,
+      body: parseAst(source, reporter(source, options), options, env.blocks),
+    }),
+    precompile,
+    hydrate,
+  };
 };
 
+/** The default environment, used by the top-level exports */
+const defaultEnv = createEnvironment();
+
+/**
+ * Compiles a template string into a reusable Template function.
+ */
+export const compile = defaultEnv.compile;
+
 /**
  * Compiles and immediately renders a template with the given data.
  */
-export const render = <T = TemplateData>(tmpl: string, data: T): string =>
-  compile<T>(tmpl)(data);
+export const render = defaultEnv.render;
 
 /**
  * Registers a custom function that can be called from templates.
  * Can also be used to override built-in functions.
  *
  * Functions receive already-evaluated arguments (unlike built-ins which
- * receive expressions for short-circuit evaluation).
+ * receive expressions for short-circuit evaluation). They may return
+ * promises, which are awaited when rendering with renderAsync().
  *
  * @example
  * registerFunction("double", (n) => n * 2);
@@ -613,6 +3693,136 @@ export const render = <T = TemplateData>(tmpl: string, data: T): string =>
  * registerFunction("wrap", (s, prefix, suffix) => prefix + s + suffix);
  * render('{{ name | wrap("[", "]") }}', { name: "test" }) // "[test]"
  */
-export const registerFunction = (name: string, fn: CustomFn): void => {
-  fns[name] = (ctx, ...a) => fn(...a.map((e) => ev(e, ctx)));
-};
+export const registerFunction = defaultEnv.registerFunction;
+
+/**
+ * Registers a custom block, like {{#name args}}...{{/name}}, that can be used
+ * from templates compiled afterwards. Its handler decides what the block
+ * renders, see BlockHandler. Blocks parse like #if and #each, with an
+ * optional {{:else}}, and named {{:slot name}} sections. The built-in blocks
+ * can't be replaced.
+ *
+ * @example
+ * registerBlock("switch", ([v], { slots, else: other }) =>
+ *   (slots[String(v)] || other)(),
+ * );
+ * render(
+ *   "{{#switch status}}{{:slot draft}}Draft{{:slot live}}Live{{:else}}?{{/switch}}",
+ *   { status: "live" },
+ * ) // "Live"
+ */
+export const registerBlock = defaultEnv.registerBlock;
+
+/**
+ * Compiles a template string into a Template that renders asynchronously.
+ * Promises in the data and returned from functions are awaited, and
+ * independent parts of the template are resolved concurrently.
+ */
+export const compileAsync = defaultEnv.compileAsync;
+
+/**
+ * Compiles and immediately renders a template asynchronously.
+ *
+ * @example
+ * registerFunction("user", async (id) => (await fetchUser(id)).name);
+ * await renderAsync("{{ user(id) }} - {{ title }}", { id: 1, title: fetchTitle() })
+ */
+export const renderAsync = defaultEnv.renderAsync;
+
+/**
+ * Renders a template as a stream of chunks, so output can be sent before the
+ * whole template has rendered. Chunks are flushed at block boundaries and
+ * after every #each iteration. Promises are awaited as with renderAsync(),
+ * but the template is rendered in order.
+ *
+ * @example
+ * for await (const chunk of renderStream(tmpl, data)) res.write(chunk);
+ *
+ * // In a service worker or edge handler
+ * return new Response(renderStream(tmpl, data).toReadableStream(), {
+ *   headers: { "content-type": "text/html; charset=utf-8" },
+ * });
+ */
+export const renderStream = defaultEnv.renderStream;
+
+/**
+ * Registers a partial that can be included from templates with {{> name}}.
+ * Accepts template source or an already compiled Template.
+ *
+ * Partials render with the including scope, or with the object passed as the
+ * first argument, and any named params layered on top.
+ *
+ * @example
+ * registerPartial("card", "<h2>{{ title }}</h2>{{#if size}}({{ size }}){{/if}}");
+ * render("{{> card post size='sm'}}", { post: { title: "Hi" } }) // "<h2>Hi</h2>(sm)"
+ */
+export const registerPartial = defaultEnv.registerPartial;
+
+/**
+ * Adds messages to the catalog of a locale, for t() to look up. Messages
+ * use ICU MessageFormat syntax; registering again merges by top-level key.
+ *
+ * @example
+ * registerMessages("en", { cart: "{n, plural, =0 {Empty} one {# item} other {# items}}" });
+ * render('{{ t("cart", basket) }}', { basket: { n: 2 } }, { locale: "en-GB" }) // "2 items"
+ */
+export const registerMessages = defaultEnv.registerMessages;
+
+/**
+ * Marks a string as safe, so {{ }} renders it without escaping. Use it for
+ * trusted HTML returned from functions or passed in as data.
+ *
+ * @example
+ * registerFunction("icon", (name) => safe(`<svg><use href="#${name}"/></svg>`));
+ * render("{{ icon('star') }}", {}) // '<svg><use href="#star"/></svg>'
+ */
+export const safe = (html: string): SafeString => new SafeString(html);
+
+/**
+ * Checks a template for problems without rendering it, e.g. before accepting
+ * an edited template. Reports parse problems, calls to unknown functions
+ * (checked against the registered functions, or the functions allowlist),
+ * and built-ins called with too few arguments.
+ *
+ * @example
+ * validate("{{#if eq(a)}}{{ nope() }}")
+ * // [
+ * //   { severity: "error", code: "UNCLOSED_BLOCK", message: "missing {{/if}}", line: 1, column: 1, ... },
+ * //   { severity: "error", code: "MISSING_ARGS", message: "eq() needs 2 args", line: 1, column: 7, ... },
+ * //   { severity: "error", code: "UNKNOWN_FUNCTION", message: "unknown nope()", line: 1, column: 17, ... }
+ * // ]
+ */
+export const validate = defaultEnv.validate;
+
+/**
+ * Parses a template into a position-annotated AST, for building linters and
+ * codemods. Custom blocks are parsed if registered. With the strict option,
+ * problems the parser would otherwise recover from throw a TemplateError.
+ *
+ * @example
+ * parse("Hi {{ name }}").body[1]
+ * // { t: "I", expr: { t: "V", path: ["name"], start: 6, ... }, start: 3, end: 13, line: 1, column: 4 }
+ */
+export const parse = defaultEnv.parse;
+
+/**
+ * Compiles a template ahead of time, e.g. in a build step, to JSON that
+ * hydrate() turns into a Template without parsing. Compile options such as
+ * contextual, delimiters and trimBlocks apply here, and #extends is resolved
+ * against the base templates registered now.
+ *
+ * @example
+ * writeFileSync("card.js", `export default ${precompile(source)};`);
+ */
+export const precompile = defaultEnv.precompile;
+
+/**
+ * Turns the output of precompile() (as JSON, or parsed) back into a Template.
+ * Options apply to rendering only. Throws if the output is from a version of
+ * the library with a different AST format.
+ *
+ * @example
+ * import card from "./card.js";
+ * registerPartial("card", hydrate(card));
+ */
+export const hydrate = defaultEnv.hydrate;
@@ -1,5 +1,24 @@
 import test from "ava";
-import { compile, render, registerFunction } from "./dist/index.mjs";
+import {
+  AST_VERSION,
+  compile,
+  compileAsync,
+  createEnvironment,
+  hydrate,
+  parse,
+  precompile,
+  print,
+  render,
+  renderAsync,
+  renderStream,
+  registerBlock,
+  registerFunction,
+  registerMessages,
+  registerPartial,
+  safe,
+  TemplateError,
+  validate,
+} from "./dist/index.mjs";
 
 const data = {
   url: "/docs/getting-started/",
@@ -91,6 +110,76 @@ test("whitespace variations in delimiters", (t) => {
   t.is(render("{{\ntitle\n}}", data), "Getting Started");
 });
 
+test("bracket access with literals", (t) => {
+  const d = {
+    items: ["a", "b"],
+    meta: { "og:image": "x.png", "data-id": 7, 10: "ten" },
+  };
+  t.is(render("{{ items[1] }}", d), "b");
+  t.is(render('{{ meta["og:image"] }}', d), "x.png");
+  t.is(render("{{ meta['data-id'] }}", d), "7");
+  t.is(render('{{ meta["10"] }}{{ meta[10] }}', d), "tenten");
+  t.is(render("{{ items[5] }}{{ missing[0] }}", d), "");
+});
+
+test("bracket access with expressions", (t) => {
+  const d = { map: { a: 1, b: 2 }, key: "b", keys: ["a", "b"], i: 0 };
+  t.is(render("{{ map[key] }}", d), "2");
+  t.is(render("{{ map[keys[i]] }}", d), "1");
+  t.is(render("{{ map[keys | last] }}", d), "2");
+});
+
+test("member access chains after brackets", (t) => {
+  const d = { rows: [{ cells: [{ v: 1 }, { v: 2 }] }] };
+  t.is(render("{{ rows[0].cells[1].v }}", d), "2");
+});
+
+test("member access on calls and pipes", (t) => {
+  t.is(render("{{ (sub_results | last).title }}", data), "Section 4");
+  t.is(render("{{ first(sub_results).title }}", data), "Section 1");
+  t.is(render("{{ (sub_results | limit(2))[1].title }}", data), "Section 2");
+  t.is(
+    render("{{ (sub_results | last).title | uppercase }}", data),
+    "SECTION 4",
+  );
+});
+
+test("parenthesized expressions", (t) => {
+  t.is(render("{{ (title) }}", data), "Getting Started");
+  t.is(
+    render("{{ (title | lowercase) | uppercase }}", data),
+    "GETTING STARTED",
+  );
+});
+
+test("bracket access keeps the own-property check", (t) => {
+  t.is(render('{{ obj["constructor"] }}', { obj: {} }), "");
+  t.is(render('{{ obj["__proto__"] }}', { obj: {} }), "");
+  t.is(render("{{ (items | first).constructor }}", { items: [{}] }), "");
+  t.is(render('{{ items["map"] }}', { items: [] }), "");
+});
+
+test("functions are never looked up on the prototype", async (t) => {
+  const d = { a: "secret" };
+  t.is(render("{{ constructor().src }}{{ constructor().data.a }}", d), "");
+  t.is(render("{{ valueOf() }}", d), "[Error: unknown valueOf()]");
+  t.is(
+    await renderAsync("{{ a | toString }}", d),
+    "[Error: unknown toString()]",
+  );
+  t.is(
+    t.throws(() => render("{{ constructor().src }}", d, { strict: true })).code,
+    "UNKNOWN_FUNCTION",
+  );
+});
+
+test("error on unclosed bracket", (t) => {
+  t.is(render("{{ items[0 }}", { items: [1] }), "1");
+  t.throws(() => render("{{ items[0 }}", {}, { strict: true }), {
+    message: /missing \]/,
+  });
+});
+
 // =============================================================================
 // Literals
 // =============================================================================
@@ -186,6 +275,400 @@ test("escapes angle brackets", (t) => {
   );
 });
 
+// =============================================================================
+// Contextual Autoescape
+// =============================================================================
+
+const html = (tmpl, data, options) =>
+  compile(tmpl, { contextual: true, ...options })(data);
+
+test("contextual escapes text and attributes as HTML", (t) => {
+  const d = { s: `<b a='1'>"&"</b>` };
+  const escaped = "&lt;b a=&#39;1&#39;&gt;&quot;&amp;&quot;&lt;/b&gt;";
+  t.is(html("<p>{{ s }}</p>", d), `<p>${escaped}</p>`);
+  t.is(html('<p title="{{ s }}">', d), `<p title="${escaped}">`);
+  t.is(
+    html("<textarea>{{ s }}</textarea>", d),
+    `<textarea>${escaped}</textarea>`,
+  );
+});
+
+test("contextual escapes unquoted attribute values", (t) => {
+  t.is(
+    html("<p class={{ c }}>", { c: "a onclick=x" }),
+    "<p class=a&#32;onclick&#61;x>",
+  );
+});
+
+test("contextual checks URL attributes with the safeUrl rules", (t) => {
+  t.is(html('<a href="{{ u }}">', { u: "javascript:alert(1)" }), '<a href="">');
+  t.is(html('<img src="{{ u }}">', { u: "data:text/html,x" }), '<img src="">');
+  t.is(
+    html('<a href="{{ u }}">', { u: "https://a.com/?x=1&y=2" }),
+    '<a href="https://a.com/?x=1&amp;y=2">',
+  );
+  t.is(html("<a href={{ u }}>", { u: "/ok" }), "<a href=/ok>");
+});
+
+test("contextual encodes values later in a URL", (t) => {
+  t.is(
+    html('<a href="/search?q={{ q }}&amp;page={{ p }}">', { q: "a&b c", p: 2 }),
+    '<a href="/search?q=a%26b%20c&amp;page=2">',
+  );
+  t.is(
+    html('<a href="/u/{{ id }}">', { id: "../admin" }),
+    '<a href="/u/..%2Fadmin">',
+  );
+});
+
+test("contextual escapes values in scripts as JavaScript", (t) => {
+  const d = { o: { a: "</script>", b: [1, true, null] }, s: `it's "x"`, n: 2 };
+  t.is(
+    html(
+      "<script>var o = {{ o }}, n = {{ n }}, m = {{ missing }};</script>",
+      d,
+    ),
+    '<script>var o = {"a":"\\u003c/script\\u003e","b":[1,true,null]}, n = 2, m = null;</script>',
+  );
+  t.is(
+    html(`<script>f("{{ s }}", '{{ s }}')</script>`, d),
+    `<script>f("it\\u0027s \\"x\\"", 'it\\u0027s \\"x\\"')</script>`,
+  );
+  t.is(
+    html("<SCRIPT>{{ n }}</SCRIPT><p>{{ s }}", d),
+    "<SCRIPT>2</SCRIPT><p>it&#39;s &quot;x&quot;",
+  );
+});
+
+test("contextual skips JS comments and regular expressions", (t) => {
+  const d = { x: "alert(1)" };
+  t.is(
+    html("<script>// don't\nvar x = {{ x }};</script>", d),
+    '<script>// don\'t\nvar x = "alert(1)";</script>',
+  );
+  t.is(
+    html("<script>var r = /'/, x = {{ x }} / 2;</script>", d),
+    '<script>var r = /\'/, x = "alert(1)" / 2;</script>',
+  );
+  t.is(
+    html("<script>/* {{ x }} */</script>", d),
+    "<script>/* [Error: cannot interpolate in a JS comment] */</script>",
+  );
+});
+
+test("contextual rejects interpolation in JS template literals", (t) => {
+  const d = { x: "alert(1)" };
+  t.is(
+    html("<script>`${ {{ x }} }`</script>", d),
+    "<script>`${ [Error: cannot interpolate in a JS template literal] }`</script>",
+  );
+  t.is(
+    html("<script>`a${ {b: 1}.b }c`; f({{ x }})</script>", d),
+    '<script>`a${ {b: 1}.b }c`; f("alert(1)")</script>',
+  );
+  const err = t.throws(() =>
+    html("<script>`{{ x }}`</script>", d, { strict: true }),
+  );
+  t.is(err.code, "UNSAFE_CONTEXT");
+});
+
+test("contextual escapes event handlers as JavaScript in HTML", (t) => {
+  t.is(
+    html(`<button onclick="go({{ s }}, '{{ s }}')">`, { s: `a'"<` }),
+    `<button onclick="go(&quot;a\\u0027\\&quot;\\u003c&quot;, 'a\\u0027\\&quot;\\u003c')">`,
+  );
+});
+
+test("contextual only lets simple CSS values through", (t) => {
+  t.is(
+    html('<p style="color: {{ c }}">', { c: "#fff" }),
+    '<p style="color: #fff">',
+  );
+  t.is(
+    html("<style>p { margin: {{ m }} }</style>", { m: "1em 2px" }),
+    "<style>p { margin: 1em 2px }</style>",
+  );
+  t.is(
+    html('<p style="color: {{ c }}">', { c: "red; background: url(x)" }),
+    '<p style="color: [Error: unsafe css value]">',
+  );
+  t.throws(() => html("<style>{{ c }}</style>", { c: "}" }, { strict: true }), {
+    code: "UNSAFE_VALUE",
+  });
+});
+
+test("contextual rejects interpolation where it can't be made safe", (t) => {
+  t.is(html("<{{ x }}>", {}), "<[Error: cannot interpolate in a tag name]>");
+  t.is(html("<p {{ x }}>", {}), "<p [Error: cannot interpolate in a tag]>");
+  t.is(html("<p {{ x }}=1>", {}), "<p [Error: cannot interpolate in a tag]=1>");
+  t.is(
+    html("<!-- {{ x }} -->", {}),
+    "<!-- [Error: cannot interpolate in an HTML comment] -->",
+  );
+  const err = t.throws(() => html("<p>\n<div {{ x }}>", {}, { strict: true }));
+  t.is(err.code, "UNSAFE_CONTEXT");
+  t.is(err.line, 2);
+});
+
+test("contextual rejects srcdoc attributes", (t) => {
+  const d = { c: "<script>alert(1)</script>" };
+  t.is(
+    html('<iframe srcdoc="{{ c }}"></iframe>{{ c }}', d),
+    '<iframe srcdoc="[Error: cannot interpolate in an srcdoc attribute]"></iframe>&lt;script&gt;alert(1)&lt;/script&gt;',
+  );
+  t.is(
+    html("<iframe srcdoc={{ c }}>", d),
+    "<iframe srcdoc=[Error: cannot interpolate in an srcdoc attribute]>",
+  );
+  const err = t.throws(() =>
+    html('<iframe srcdoc="{{ c }}">', d, { strict: true }),
+  );
+  t.is(err.code, "UNSAFE_CONTEXT");
+});
+
+test("contextual follows the context through blocks", (t) => {
+  const tmpl =
+    '{{#each xs as x}}<a href="{{ x }}" class="{{#if loop.first}}first{{/if}}">{{ x }}</a>{{/each}}';
+  t.is(
+    html(tmpl, { xs: ["/a", "javascript:x"] }),
+    '<a href="/a" class="first">/a</a><a href="" class="">javascript:x</a>',
+  );
+  t.is(
+    html('<p>{{#if a}}<b title="{{ a }}">{{:else}}<i>{{/if}}</p>', { a: 1 }),
+    '<p><b title="1"></p>',
+  );
+});
+
+test("contextual rejects blocks that change the context", (t) => {
+  t.is(
+    html('{{#if a}}<a href="{{/if}}{{ u }}">', { a: 1, u: "javascript:x" }),
+    '<a href="[Error: #if branches end in different HTML contexts]">',
+  );
+  t.throws(
+    () => html("{{#each xs as x}}<p title='{{/each}}", {}, { strict: true }),
+    {
+      message: /#each body changes the HTML context/,
+    },
+  );
+});
+
+test("contextual leaves raw output alone", (t) => {
+  t.is(
+    html('<a href="{{+ u +}}">', { u: "javascript:x" }),
+    '<a href="javascript:x">',
+  );
+});
+
+test("contextual partials only in HTML text", (t) => {
+  const env = createEnvironment({
+    partials: { link: '<a href="{{ u }}">x</a>' },
+    options: { contextual: true },
+  });
+  t.is(
+    env.render("<p>{{> link}}</p>", { u: "javascript:x" }),
+    '<p><a href="">x</a></p>',
+  );
+  t.is(
+    env.render('<p title="{{> link}}">', {}),
+    '<p title="[Error: cannot include a partial in an attribute value]">',
+  );
+});
+
+test("contextual partials and macros must end in HTML text", (t) => {
+  const env = createEnvironment({
+    partials: { openattr: '<a href="' },
+    options: { contextual: true },
+  });
+  const d = { u: "javascript:alert(1)" };
+  t.is(
+    env.render('{{> openattr}}{{ u }}">', d),
+    "[Error: partial openattr doesn't end in HTML text]javascript:alert(1)\">",
+  );
+  t.is(
+    env.render('{{#define m()}}<a href="{{/define}}{{ call m() }}{{ u }}">', d),
+    "[Error: macro m doesn't end in HTML text]javascript:alert(1)\">",
+  );
+  const err = t.throws(() =>
+    env.render("{{> openattr}}", {}, { strict: true }),
+  );
+  t.is(err.code, "UNSAFE_CONTEXT");
+});
+
+test("contextual in layouts and async rendering", async (t) => {
+  const env = createEnvironment({
+    partials: { base: '<a href="{{#block href}}{{/block}}">' },
+    options: { contextual: true },
+  });
+  const tmpl = '{{#extends "base"}}{{#block href}}{{ u }}{{/block}}';
+  t.is(env.render(tmpl, { u: "javascript:x" }), '<a href="">');
+  t.is(
+    await env.renderAsync("<script>{{ o }}</script>", { o: later({ a: 1 }) }),
+    '<script>{"a":1}</script>',
+  );
+});
+
+// =============================================================================
+// Escape Modes
+// =============================================================================
+
+test("escape option none leaves values as they are", (t) => {
+  t.is(
+    compile("Hi {{ name }}", { escape: "none" })({ name: "<Ann & Bo>" }),
+    "Hi <Ann & Bo>",
+  );
+});
+
+test("escape option markdown backslash-escapes punctuation", (t) => {
+  const fn = compile("Hi {{ name }}!", { escape: "markdown" });
+  t.is(
+    fn({ name: "*bold* [x](y) _z_ <b>" }),
+    "Hi \\*bold\\* \\[x\\]\\(y\\) \\_z\\_ \\<b\\>!",
+  );
+  t.is(fn({ name: "1. # a\\b" }), "Hi 1\\. \\# a\\\\b!");
+});
+
+test("escape option html is the default", (t) => {
+  t.is(compile("{{ s }}", { escape: "html" })({ s: "<i>" }), "&lt;i&gt;");
+});
+
+test("escape option takes a function", (t) => {
+  const shell = (s) => `'${s.replace(/'/g, "'\\''")}'`;
+  t.is(
+    compile("echo {{ msg }}", { escape: shell })({ msg: "it's" }),
+    "echo 'it'\\''s'",
+  );
+});
+
+test("escape option on an environment", (t) => {
+  const env = createEnvironment({
+    partials: { p: "[{{ s }}]" },
+    options: { escape: "markdown" },
+  });
+  t.is(env.render("{{ s }} {{> p}}", { s: "a_b" }), "a\\_b [a\\_b]");
+  t.is(env.render("{{ s }}", { s: "<a_b>" }, { escape: "none" }), "<a_b>");
+});
+
+test("raw output ignores the escape option", (t) => {
+  t.is(compile("{{+ s +}}", { escape: "markdown" })({ s: "*x*" }), "*x*");
+});
+
+test("error on unknown escape mode", (t) => {
+  t.is(
+    compile("{{ s }}", { escape: "latex" })({ s: 1 }),
+    "[Error: unknown escape mode latex]",
+  );
+  t.throws(
+    () => compile("{{ s }}", { escape: "latex", strict: true })({ s: 1 }),
+    {
+      code: "UNKNOWN_ESCAPE",
+    },
+  );
+});
+
+test("escape pipe switches the mode of one interpolation", (t) => {
+  const d = { s: "<*a*>" };
+  t.is(
+    render('{{ s }} {{ s | escape("none") }} {{ s | escape("markdown") }}', d),
+    "&lt;*a*&gt; <*a*> \\<\\*a\\*\\>",
+  );
+  t.is(
+    compile('{{ s }} {{ s | escape("html") }}', { escape: "none" })(d),
+    "<*a*> &lt;*a*&gt;",
+  );
+  t.is(render('{{ escape(s, "markdown") }}', d), "\\<\\*a\\*\\>");
+});
+
+test("escape pipe errors", (t) => {
+  t.is(
+    render('{{ s | escape("nope") }}', { s: 1 }),
+    "[Error: unknown escape mode nope]",
+  );
+  t.is(render("{{ s | escape }}", { s: 1 }), "[Error: escape() needs 2 args]");
+  t.deepEqual(codes("{{ s | escape }}"), ["MISSING_ARGS"]);
+});
+
+test("contextual autoescape only applies to html escaping", (t) => {
+  const d = { u: "javascript:x" };
+  t.is(
+    compile('<a href="{{ u }}">', { contextual: true, escape: "none" })(d),
+    '<a href="javascript:x">',
+  );
+  t.is(
+    compile('<a href="{{ u | escape("none") }}">', { contextual: true })(d),
+    '<a href="javascript:x">',
+  );
+});
+
+// =============================================================================
+// Safe Strings
+// =============================================================================
+
+test("safe strings in data render unescaped", (t) => {
+  t.is(
+    render("{{ a }} {{ b }}", { a: safe("<b>x</b>"), b: "<b>x</b>" }),
+    "<b>x</b> &lt;b&gt;x&lt;/b&gt;",
+  );
+});
+
+test("safe strings from functions render unescaped", (t) => {
+  const env = createEnvironment();
+  env.registerFunction("icon", (name) => safe(`<i class="icon-${name}"></i>`));
+  env.registerFunction("plain", (name) => `<i>${name}</i>`);
+  t.is(
+    env.render("{{ icon('star') }}{{ plain('x') }}", {}),
+    '<i class="icon-star"></i>&lt;i&gt;x&lt;/i&gt;',
+  );
+  t.is(env.render("{{ 'star' | icon }}", {}), '<i class="icon-star"></i>');
+});
+
+test("safe strings from async functions", async (t) => {
+  const env = createEnvironment();
+  env.registerFunction("hl", async (s) => safe(`<mark>${s}</mark>`));
+  t.is(await env.renderAsync("{{ hl(q) }}", { q: "x" }), "<mark>x</mark>");
+});
+
+test("safe strings ignore the escape mode", (t) => {
+  t.is(compile("{{ a }}", { escape: "markdown" })({ a: safe("*x*") }), "*x*");
+});
+
+test("lowercase, uppercase and trim keep safe strings safe", (t) => {
+  const d = { a: safe(" <B>Hi</B> ") };
+  t.is(
+    render("{{ a | lowercase }}|{{ a | uppercase }}|{{ a | trim }}", d),
+    " <b>hi</b> | <B>HI</B> |<B>Hi</B>",
+  );
+  t.is(
+    render("{{ a | default('x') }}{{ first(list) }}", { ...d, list: [d.a] }),
+    " <B>Hi</B>  <B>Hi</B> ",
+  );
+});
+
+test("other string functions escape safe strings", (t) => {
+  const d = { a: safe("<b>bold</b>"), l: [safe("<i>")] };
+  t.is(render("{{ a | truncate(5) }}", d), "&lt;b&gt;bo...");
+  t.is(render("{{ a | replace('b', 'i') }}", d), "&lt;i&gt;iold&lt;/i&gt;");
+  t.is(render("{{ l | join(',') }}", d), "&lt;i&gt;");
+  t.is(render("{{ a + '!' }}", d), "&lt;b&gt;bold&lt;/b&gt;!");
+  t.is(render("{{ a | length }}", d), "11");
+});
+
+test("safe strings are truthy unless empty", (t) => {
+  t.is(
+    render("{{#if a}}y{{:else}}n{{/if}}{{#if b}}y{{:else}}n{{/if}}", {
+      a: safe("x"),
+      b: safe(""),
+    }),
+    "yn",
+  );
+});
+
+test("safe strings are not iterable", (t) => {
+  t.is(
+    render("{{#each a as c}}{{ c }}{{/each}}", { a: safe("ab") }),
+    "[Error: #each needs array]",
+  );
+});
+
 // =============================================================================
 // Escaped Delimiters
 // =============================================================================
@@ -201,6 +684,81 @@ test("escaped delimiter in mixed content", (t) => {
   );
 });
 
+// =============================================================================
+// Custom Delimiters
+// =============================================================================
+
+const brackets = { delimiters: ["[[", "]]"] };
+
+test("delimiters option changes the tag delimiters", (t) => {
+  t.is(
+    render(
+      '<p v-if="ok">{{ vue }}</p>[[ title ]][[#if author]] by [[ author | uppercase ]][[:else]]-[[/if]]',
+      data,
+      brackets,
+    ),
+    '<p v-if="ok">{{ vue }}</p>Getting Started by BGLW',
+  );
+  t.is(
+    render(
+      "[[#each tags as tag, i]][[ i ]]:[[ tag ]] [[/each]][[+ excerpt +]][[! note ]]",
+      { tags: ["a", "b"], excerpt: "<b>" },
+      brackets,
+    ),
+    "0:a 1:b <b>",
+  );
+});
+
+test("delimiters that start with an operator", (t) => {
+  const erb = { delimiters: ["<%", "%>"] };
+  t.is(render("<% n % 3 %>,<% n>2 %>,<%~ n ~%> !", { n: 5 }, erb), "2,true,5!");
+});
+
+test("custom delimiters can be escaped and trimmed", (t) => {
+  t.is(render("\\[[ x ]] [[ 1 ]]", {}, brackets), "[[ x ]] 1");
+  t.is(
+    compile("a\n  [[#if true]]\nb\n[[/if]]\n", {
+      trimBlocks: true,
+      ...brackets,
+    })({}),
+    "a\nb\n",
+  );
+});
+
+test("delimiters switch inside a template", (t) => {
+  t.is(
+    render("{{ a }}{{=<% %>=}}{{ a }}<% a %><%={{ }}=%>{{ a }}", { a: 1 }),
+    "1{{ a }}11",
+  );
+  t.is(
+    compile("{{= [[ ]] =}}\n[[#if a]]\nyes\n[[/if]]\n", { trimBlocks: true })({
+      a: 1,
+    }),
+    "yes\n",
+  );
+});
+
+test("error on invalid delimiters", (t) => {
+  t.is(render("{{=<% %>}}x", {}), "x");
+  const code = (tmpl, options) =>
+    t.throws(() => compile(tmpl, { strict: true, ...options })).code;
+  t.is(code("{{=<% %>}}"), "INVALID_DELIMITERS");
+  t.is(code("{{=<%= =%>=}}"), "INVALID_DELIMITERS");
+  t.is(code("x", { delimiters: ["{{", ""] }), "INVALID_DELIMITERS");
+});
+
+test("custom delimiters in errors, validate and print", (t) => {
+  const err = t.throws(() =>
+    compile("[[#if a]]", { strict: true, ...brackets }),
+  );
+  t.is(err.message, "missing [[/if]] (line 1, column 1)");
+  t.deepEqual(
+    validate("[[ nope() ]] {{ vue }}", brackets).map((d) => d.code),
+    ["UNKNOWN_FUNCTION"],
+  );
+  t.is(print(parse("[[ a ]]{{ b }}", brackets)), "{{ a }}\\{{ b }}");
+});
+
 // =============================================================================
 // Pipes (Built-in Functions as Pipes)
 // =============================================================================
@@ -525,24 +1083,510 @@ test("not function", (t) => {
 });
 
 // =============================================================================
-// Conditionals (#if)
+// Collection Functions
 // =============================================================================
 
-test("if block with truthy value", (t) => {
-  t.is(render("{{#if author}}By {{ author }}{{/if}}", data), "By bglw");
-});
+const posts = [
+  { title: "b", year: 2024, author: { name: "Zoe" }, views: 3, draft: true },
+  { title: "a", year: 2023, author: { name: "amy" }, views: null },
+  { title: "c", year: 2024, author: { name: "Bob" }, views: 5 },
+  { title: "d", year: 2022, author: { name: "bob" }, views: 3 },
+];
 
-test("if block with falsy value", (t) => {
-  t.is(render("{{#if nothing}}Yes{{/if}}", data), "");
+test("sort by value or nested key, in either direction", (t) => {
+  t.is(render('{{ xs | sort | join(",") }}', { xs: [10, 9, 1] }), "1,9,10");
+  t.is(
+    render('{{ posts | sort("author.name") | pluck("title") | join("") }}', {
+      posts,
+    }),
+    "adcb",
+  );
+  t.is(
+    render('{{ posts | sort("year", "desc") | pluck("title") | join("") }}', {
+      posts,
+    }),
+    "bcad",
+  );
+  t.is(render('{{ xs | sort | join(",") }}', { xs: "abc" }), "abc");
 });
 
-test("if-else with truthy", (t) => {
-  t.is(render("{{#if author}}Yes{{:else}}No{{/if}}", data), "Yes");
+test("sort is stable and puts empty values last", (t) => {
+  const tmpl = (dir) =>
+    `{{ posts | sort("views", "${dir}") | pluck("title") | join("") }}`;
+  t.is(render(tmpl("asc"), { posts }), "bdca");
+  t.is(render(tmpl("desc"), { posts }), "cbda");
 });
 
-test("if-else with falsy", (t) => {
-  t.is(render("{{#if nothing}}Yes{{:else}}No{{/if}}", data), "No");
-});
+test("where filters by key, with or without a value", (t) => {
+  t.is(
+    render('{{ where(posts, "year", 2024) | pluck("title") | join("") }}', {
+      posts,
+    }),
+    "bc",
+  );
+  t.is(
+    render('{{ posts | where("draft") | pluck("title") | join("") }}', {
+      posts,
+    }),
+    "b",
+  );
+  t.is(
+    render('{{ where(posts, "author.name", "bob") | length }}', { posts }),
+    "1",
+  );
+});
+
+test("groupBy returns groups that #each can iterate", (t) => {
+  t.is(
+    render(
+      '{{#each groupBy(posts, "year") as group}}{{ group.key }}: {{ group.items | pluck("title") | join(", ") }}; {{/each}}',
+      { posts },
+    ),
+    "2024: b, c; 2023: a; 2022: d; ",
+  );
+});
+
+test("uniq, reverse and slice", (t) => {
+  t.is(render('{{ xs | uniq | join("") }}', { xs: [1, 2, 1, 3, 2] }), "123");
+  t.is(
+    render('{{ uniq(posts, "year") | pluck("title") | join("") }}', { posts }),
+    "bad",
+  );
+  t.is(render('{{ xs | reverse | join("") }}', { xs: [1, 2, 3] }), "321");
+  t.is(render('{{ xs | slice(1, 3) | join("") }}', { xs: [1, 2, 3, 4] }), "23");
+  t.is(render('{{ xs | slice(-1) | join("") }}', { xs: [1, 2, 3, 4] }), "4");
+  t.is(render('{{ slice("hello", 1, 3) }}', {}), "el");
+});
+
+test("sum, min and max", (t) => {
+  t.is(
+    render("{{ sum(xs) }} {{ min(xs) }} {{ max(xs) }}", { xs: [4, 1, 7] }),
+    "12 1 7",
+  );
+  t.is(
+    render('{{ sum(posts, "views") }} {{ min(posts, "views") }}', { posts }),
+    "11 3",
+  );
+  t.is(render("{{ sum(xs) }}|{{ max(xs) }}", { xs: [] }), "0|");
+});
+
+test("min and max handle long lists", (t) => {
+  const xs = Array.from({ length: 200000 }, (_, i) => i);
+  t.is(render("{{ min(xs) }} {{ max(xs) }}", { xs }), "0 199999");
+});
+
+test("chunk splits into rows", (t) => {
+  t.is(
+    render('{{#each chunk(xs, 2) as row}}[{{ row | join(",") }}]{{/each}}', {
+      xs: [1, 2, 3, 4, 5],
+    }),
+    "[1,2][3,4][5]",
+  );
+});
+
+test("range counts up or down", (t) => {
+  t.is(render('{{ range(4) | join(",") }}', {}), "0,1,2,3");
+  t.is(render('{{ range(1, 10, 3) | join(",") }}', {}), "1,4,7");
+  t.is(render('{{ range(3, 0) | join(",") }}', {}), "3,2,1");
+  t.is(render("{{ range(0, 3, 0) | length }}", {}), "0");
+  t.is(
+    render(
+      "{{#each range(1, 4) as n}}{{ n }}{{#if !loop.last}}-{{/if}}{{/each}}",
+      {},
+    ),
+    "1-2-3",
+  );
+});
+
+test("error on ranges longer than 100000", (t) => {
+  t.is(render("{{ range(100000) | length }}", {}), "100000");
+  t.is(
+    render("{{ range(1000000000) }}", {}),
+    "[Error: range() longer than 100000]",
+  );
+  t.is(
+    render("{{ range(0, 1, 0.000000001) }}", {}),
+    "[Error: range() longer than 100000]",
+  );
+  const e = t.throws(() =>
+    render("{{#each range(1000000000) as i}}{{/each}}", {}, { strict: true }),
+  );
+  t.is(e.code, "RANGE_TOO_LONG");
+});
+
+// =============================================================================
+// Formatting Functions
+// =============================================================================
+
+const us = (tmpl, data = {}, options = {}) =>
+  render(tmpl, data, { locale: "en-US", timeZone: "UTC", ...options });
+
+test("number formats with grouping and fraction digits", (t) => {
+  t.is(us("{{ number(1234.5) }}"), "1,234.5");
+  t.is(us("{{ n | number(2) }}", { n: 1234.5 }), "1,234.50");
+  t.is(
+    us("{{ number(1234.5, opts) }}", { opts: { useGrouping: false } }),
+    "1234.5",
+  );
+});
+
+test("currency and percent", (t) => {
+  t.is(us('{{ currency(9.5, "EUR") }}'), "€9.50");
+  t.is(us('{{ price | currency("USD") }}', { price: 1200 }), "$1,200.00");
+  t.is(us("{{ percent(0.256) }}"), "26%");
+  t.is(us("{{ percent(0.256, 1) }}"), "25.6%");
+});
+
+test("date accepts ISO strings and epoch numbers", (t) => {
+  t.is(us('{{ date("2024-03-05T14:07:09Z") }}'), "Mar 5, 2024");
+  t.is(us('{{ date(0, "full") }}'), "Thursday, January 1, 1970");
+  t.is(us('{{ d | date("short") }}', { d: Date.UTC(2024, 2, 5) }), "3/5/24");
+});
+
+test("date patterns", (t) => {
+  const d = "2024-03-05T14:07:09Z";
+  t.is(
+    us('{{ date(d, "yyyy-MM-dd HH:mm:ss") }}', { d }),
+    "2024-03-05 14:07:09",
+  );
+  t.is(
+    us("{{ date(d, \"EEE d MMMM yy 'at' h:mm a\") }}", { d }),
+    "Tue 5 March 24 at 2:07 PM",
+  );
+});
+
+test("date uses the timeZone option", (t) => {
+  const d = "2024-03-05T23:30:00Z";
+  t.is(us('{{ date(d, "d HH:mm") }}', { d }), "5 23:30");
+  t.is(
+    us('{{ date(d, "d HH:mm") }}', { d }, { timeZone: "Asia/Tokyo" }),
+    "6 08:30",
+  );
+});
+
+test("relativeTime from a count and unit or a date", (t) => {
+  t.is(us('{{ relativeTime(-1, "day") }}'), "yesterday");
+  t.is(us('{{ relativeTime(3, "week") }}'), "in 3 weeks");
+  const hour = 3600000;
+  t.is(
+    us("{{ relativeTime(d) }}", { d: Date.now() - 73 * hour }),
+    "3 days ago",
+  );
+  t.is(
+    us("{{ relativeTime(d) }}", {
+      d: new Date(Date.now() + 2.6 * hour).toISOString(),
+    }),
+    "in 3 hours",
+  );
+});
+
+test("list joins an array as a sentence", (t) => {
+  const data = { xs: ["tea", "coffee", "juice"] };
+  t.is(us("{{ list(xs) }}", data), "tea, coffee, and juice");
+  t.is(us('{{ xs | list("or") }}', data), "tea, coffee, or juice");
+  t.is(us("{{ list(xs) }}", { xs: ["<b>"] }), "&lt;b&gt;");
+});
+
+test("plural picks a form by count", (t) => {
+  t.is(us('{{ plural(1, "# item", "# items") }}'), "1 item");
+  t.is(us('{{ plural(n, "# item", "# items") }}', { n: 1500 }), "1,500 items");
+  const forms = { "=0": "no messages", one: "a message", other: "# messages" };
+  t.is(us("{{ plural(0, forms) }}", { forms }), "no messages");
+  t.is(us("{{ plural(1, forms) }}", { forms }), "a message");
+  t.is(us("{{ plural(2, forms) }}", { forms }), "2 messages");
+});
+
+test("formatting follows the locale option", (t) => {
+  const tmpl = '{{ number(1234.5) }} {{ date(0, "EEEE") }} {{ list(xs) }}';
+  const data = { xs: ["a", "b"] };
+  t.is(us(tmpl, data, { locale: "de-DE" }), "1.234,5 Donnerstag a und b");
+  const env = createEnvironment({
+    options: { locale: "fr-FR", timeZone: "UTC" },
+  });
+  t.is(env.render(tmpl, data), "1\u202f234,5 jeudi a et b");
+});
+
+test("formatting errors", (t) => {
+  t.is(us('{{ date("soon") }}'), "[Error: invalid date soon]");
+  t.regex(us('{{ currency(1, "EURO") }}'), /^\[Error: /);
+  const e = t.throws(
+    () =>
+      us('{{ date(0, "short") }}', {}, { timeZone: "Mars/Base", strict: true }),
+    { instanceOf: TemplateError },
+  );
+  t.is(e.code, "FORMAT_ERROR");
+  t.is(e.column, 4);
+  t.is(
+    t.throws(() => us("{{ relativeTime(x) }}", {}, { strict: true })).code,
+    "INVALID_DATE",
+  );
+});
+
+// =============================================================================
+// Translation
+// =============================================================================
+
+const i18n = (options = {}) =>
+  createEnvironment({
+    messages: {
+      en: {
+        hi: "Hello, {name}!",
+        cart: {
+          items:
+            "{count, plural, =0 {Your cart is empty} one {# item} other {# items}}",
+        },
+        place:
+          "You came {pos, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}",
+        liked:
+          "{g, select, female {She} male {He} other {They}} liked {n, plural, offset:1 =0 {nothing} =1 {it} other {it and # others}}",
+        stats:
+          "{n, number} of {total, number, integer} ({share, number, percent})",
+        quoted: "It''s '{literal}' on {d, date, long}",
+        only: "English only",
+      },
+      de: {
+        hi: "Hallo, {name}!",
+        cart: { items: "{count, plural, one {# Artikel} other {# Artikel}}" },
+      },
+    },
+    options: { locale: "en-US", timeZone: "UTC", ...options },
+  });
+
+test("t formats a message with the data in scope", (t) => {
+  const env = i18n();
+  t.is(env.render('{{ t("hi") }}', { name: "<Ann>" }), "Hello, &lt;Ann&gt;!");
+  t.is(
+    env.render('{{#each people as name}}{{ t("hi") }} {{/each}}', {
+      people: ["Ann", "Bo"],
+    }),
+    "Hello, Ann! Hello, Bo! ",
+  );
+});
+
+test("t uses the runtime's locale without a locale option", (t) => {
+  const runtime = new Intl.NumberFormat().resolvedOptions().locale;
+  const env = createEnvironment({
+    messages: { [runtime.split("-")[0]]: { hi: "Hi, {name}!" } },
+  });
+  t.is(env.render('{{ t("hi") }}', { name: "Ann" }), "Hi, Ann!");
+});
+
+test("t takes params and nested keys", (t) => {
+  const env = i18n();
+  t.is(
+    env.render('{{ t("hi", user) }}', { user: { name: "Ann" } }),
+    "Hello, Ann!",
+  );
+  const items = '{{ t("cart.items", cart) }}';
+  t.is(env.render(items, { cart: { count: 0 } }), "Your cart is empty");
+  t.is(env.render(items, { cart: { count: 1 } }), "1 item");
+  t.is(env.render(items, { cart: { count: 1500 } }), "1,500 items");
+});
+
+test("t supports select, selectordinal and plural offsets", (t) => {
+  const env = i18n();
+  const place = (pos) => env.render('{{ t("place") }}', { pos });
+  t.is(
+    [1, 2, 3, 4, 11, 22].map(place).join(" "),
+    "You came 1st You came 2nd You came 3rd You came 4th You came 11th You came 22nd",
+  );
+  const liked = (g, n) => env.render('{{ t("liked") }}', { g, n });
+  t.is(liked("female", 0), "She liked nothing");
+  t.is(liked("male", 1), "He liked it");
+  t.is(liked("x", 3), "They liked it and 2 others");
+});
+
+test("t formats numbers and dates and handles quotes", (t) => {
+  const env = i18n();
+  t.is(
+    env.render('{{ t("stats") }}', { n: 1234.5, total: 9999.9, share: 0.25 }),
+    "1,234.5 of 10,000 (25%)",
+  );
+  t.is(
+    env.render('{{+ t("quoted") +}}', { d: "2024-03-05T12:00:00Z" }),
+    "It's {literal} on March 5, 2024",
+  );
+});
+
+test("t falls back through the locale chain", (t) => {
+  const tmpl = '{{ t("hi") }} {{ t("cart.items") }} {{ t("only") }}';
+  const data = { name: "Bo", count: 2 };
+  const env = i18n({ locale: "de-CH", fallbackLocale: "en" });
+  t.is(env.render(tmpl, data), "Hallo, Bo! 2 Artikel English only");
+  t.is(
+    env.render(tmpl, data, { locale: "en-GB" }),
+    "Hello, Bo! 2 items English only",
+  );
+  t.is(
+    i18n({ locale: "de" }).render('{{ t("only") }}', {}),
+    "[Error: missing message only]",
+  );
+});
+
+test("t reports missing messages as configured", (t) => {
+  const env = i18n();
+  t.is(env.render('{{ t("nope") }}', {}), "[Error: missing message nope]");
+  t.is(env.render('{{ t("nope") }}', {}, { missingMessage: "key" }), "nope");
+  const seen = [];
+  const missingMessage = (key, locale) => (seen.push(`${locale}:${key}`), "?");
+  t.is(env.render('{{ t("a") }}{{ t("b") }}', {}, { missingMessage }), "??");
+  t.deepEqual(seen, ["en-US:a", "en-US:b"]);
+  const runtime = new Intl.NumberFormat().resolvedOptions().locale;
+  createEnvironment().render('{{ t("c") }}', {}, { missingMessage });
+  t.is(seen[2], `${runtime}:c`);
+  const e = t.throws(() => env.render('{{ t("nope") }}', {}, { strict: true }));
+  t.is(e.code, "MISSING_MESSAGE");
+  t.is(e.column, 4);
+});
+
+test("t reports invalid messages", (t) => {
+  const env = createEnvironment({
+    messages: {
+      en: { a: "{n, plural, one {#}}", b: "{n", c: "a}", d: "{n, spell}" },
+    },
+    options: { locale: "en" },
+  });
+  t.is(
+    env.render('{{ t("a") }}|{{ t("b") }}|{{ t("c") }}|{{ t("d") }}', {}),
+    "[Error: invalid message a: missing other]|[Error: invalid message b: missing } after n]|[Error: invalid message c: unexpected }]|[Error: invalid message d: unknown type spell]",
+  );
+  const e = t.throws(() => env.render('{{ t("a") }}', {}, { strict: true }));
+  t.is(e.code, "INVALID_MESSAGE");
+});
+
+test("registerMessages merges into a locale's catalog", (t) => {
+  registerMessages("en", { one: "One" });
+  registerMessages("en", { two: "Two" });
+  t.is(
+    render('{{ t("one") }} {{ t("two") }}', {}, { locale: "en" }),
+    "One Two",
+  );
+  t.is(
+    createEnvironment().render('{{ t("one") }}', {}, { locale: "en" }),
+    "[Error: missing message one]",
+  );
+});
+
+// =============================================================================
+// Operators
+// =============================================================================
+
+test("comparison operators", (t) => {
+  const d = { a: 1, b: 2, s: "1" };
+  t.is(render("{{ a == 1 }} {{ a == s }} {{ a != b }}", d), "true false true");
+  t.is(
+    render("{{ a < b }} {{ a > b }} {{ a <= 1 }} {{ b >= 3 }}", d),
+    "true false true false",
+  );
+  t.is(render('{{ "10" > 9 }}', d), "true");
+});
+
+test("boolean operators return the deciding value", (t) => {
+  t.is(render("{{ 1 && 2 && 3 }}", {}), "3");
+  t.is(render("{{ 1 && 0 && 3 }}", {}), "0");
+  t.is(render('{{ null || "" || "found" }}', {}), "found");
+  t.is(
+    render("{{ !0 }} {{ !1 }} {{ !!items }}", { items: [] }),
+    "true false false",
+  );
+});
+
+test("boolean operators short-circuit", (t) => {
+  const env = createEnvironment();
+  let calls = 0;
+  env.registerFunction("touch", () => ++calls);
+  t.is(env.render("{{ 0 && touch() }}{{ 1 || touch() }}", {}), "01");
+  t.is(env.render("{{ 1 ? 2 : touch() }}", {}), "2");
+  t.is(calls, 0);
+});
+
+test("arithmetic operators", (t) => {
+  const d = { price: 4, qty: 3 };
+  t.is(render("{{ price * qty + 1 }}", d), "13");
+  t.is(render("{{ price * (qty + 1) }}", d), "16");
+  t.is(render("{{ 10 - 4 - 3 }} {{ 12 / 4 / 3 }} {{ 10 % 4 }}", d), "3 1 2");
+  t.is(render("{{ qty-1 }}", d), "2");
+  t.is(render("{{ price - -1 }}", d), "5");
+});
+
+test("+ joins strings", (t) => {
+  t.is(render('{{ "n=" + n }}', { n: 3 }), "n=3");
+  t.is(render('{{ first + " " + last }}', { first: "A", last: "B" }), "A B");
+  t.is(render('{{ "x" + missing }}', {}), "x");
+});
+
+test("operator precedence", (t) => {
+  const d = { count: 3, status: "published" };
+  t.is(render('{{ count > 0 && status != "draft" }}', d), "true");
+  t.is(render("{{ 1 + 2 == 3 && 2 * 2 == 4 || false }}", d), "true");
+  t.is(render("{{ !count || count == 3 }}", d), "true");
+  t.is(render("{{ !(count == 3) }}", d), "false");
+});
+
+test("pipes bind tighter than operators", (t) => {
+  t.is(render("{{ items | length > 2 }}", { items: [1, 2, 3] }), "true");
+  t.is(render('{{ name | uppercase + "!" }}', { name: "hi" }), "HI!");
+  t.is(render('{{ (a + b) | default("none") }}', { a: 0, b: 0 }), "none");
+});
+
+test("ternary operator", (t) => {
+  const tmpl = '{{ n == 1 ? "one" : n == 2 ? "two" : "many" }}';
+  t.is(render(tmpl, { n: 1 }), "one");
+  t.is(render(tmpl, { n: 2 }), "two");
+  t.is(render(tmpl, { n: 5 }), "many");
+  t.is(render('{{ items ? "some" : "none" }}', { items: [] }), "none");
+});
+
+test("operators in blocks, calls and partial params", (t) => {
+  t.is(
+    render("{{#if a > 1 && b}}yes{{:else if a == 1}}one{{/if}}", { a: 1 }),
+    "one",
+  );
+  t.is(render("{{ truncate(s + s, n * 2) }}", { s: "abc", n: 2 }), "abca...");
+  const env = createEnvironment({ partials: { p: "{{ on }}" } });
+  t.is(env.render("{{> p on=a == 1}}", { a: 1 }), "true");
+});
+
+test("operators ignore overridden built-ins", (t) => {
+  const env = createEnvironment({ functions: { eq: () => "custom" } });
+  t.is(env.render("{{ eq(1, 2) }} {{ 1 == 2 }}", {}), "custom false");
+});
+
+test("operators in raw output", (t) => {
+  t.is(render('{{+ "<b>" + name + "</b>" +}}', { name: "x" }), "<b>x</b>");
+});
+
+test("operators render asynchronously", async (t) => {
+  const d = { a: later(2), b: later(3) };
+  t.is(await renderAsync("{{ a * b }} {{ a > 1 ? b : a }}", d), "6 3");
+  t.is((await collect(renderStream("{{ a + b }}", d))).join(""), "5");
+});
+
+test("error on missing operand", (t) => {
+  t.throws(() => strict("{{ a && }}"), { message: /missing operand after &&/ });
+  t.throws(() => strict("{{ a ? b }}"), { message: /missing : after \?/ });
+  t.is(render("{{ a ? b }}", { a: 1, b: 2 }), "2");
+});
+
+// =============================================================================
+// Conditionals (#if)
+// =============================================================================
+
+test("if block with truthy value", (t) => {
+  t.is(render("{{#if author}}By {{ author }}{{/if}}", data), "By bglw");
+});
+
+test("if block with falsy value", (t) => {
+  t.is(render("{{#if nothing}}Yes{{/if}}", data), "");
+});
+
+test("if-else with truthy", (t) => {
+  t.is(render("{{#if author}}Yes{{:else}}No{{/if}}", data), "Yes");
+});
+
+test("if-else with falsy", (t) => {
+  t.is(render("{{#if nothing}}Yes{{:else}}No{{/if}}", data), "No");
+});
 
 test("else-if chain", (t) => {
   t.is(
@@ -681,6 +1725,175 @@ test("nested each with index in both", (t) => {
 // Compile & RegisterFunction
 // =============================================================================
 
+test("~ strips whitespace around interpolations", (t) => {
+  t.is(render("a  {{~ x }}  b", { x: 1 }), "a1  b");
+  t.is(render("a  {{ x ~}}  \n b", { x: 1 }), "a  1b");
+  t.is(render("a \n {{~+ x +~}} \n b", { x: "<i>" }), "a<i>b");
+});
+
+test("~ strips whitespace around block tags", (t) => {
+  const tmpl = `<ul>
+  {{~#each items as item~}}
+    <li>{{ item }}</li>
+  {{~/each~}}
+</ul>`;
+  t.is(render(tmpl, { items: [1, 2] }), "<ul><li>1</li><li>2</li></ul>");
+});
+
+test("~ on else and else if tags", (t) => {
+  const tmpl = "{{#if a ~}} A {{~:else if b~}} B {{~:else~}} C {{~/if}}";
+  t.is(render(tmpl, { a: true }), "A");
+  t.is(render(tmpl, { b: true }), "B");
+  t.is(render(tmpl, {}), "C");
+  t.is(
+    render("{{#each xs as x}}{{ x }}{{~:else~}} none {{~/each}}!", {
+      xs: [],
+    }),
+    "none!",
+  );
+});
+
+test("~ on partials", (t) => {
+  const env = createEnvironment({ partials: { p: "[{{ x }}]" } });
+  t.is(env.render(" a \n {{~> p ~}} \n b", { x: 1 }), " a[1]b");
+});
+
+test("trimBlocks drops lines holding only a block tag", (t) => {
+  const tmpl = `<ul>
+  {{#each items as item}}
+  <li>{{ item }}</li>
+  {{/each}}
+</ul>
+`;
+  const fn = compile(tmpl, { trimBlocks: true });
+  t.is(fn({ items: [1, 2] }), "<ul>\n  <li>1</li>\n  <li>2</li>\n</ul>\n");
+  t.is(render(tmpl, { items: [1] }), "<ul>\n  \n  <li>1</li>\n  \n</ul>\n");
+});
+
+test("trimBlocks leaves block tags sharing a line alone", (t) => {
+  const fn = compile("{{#if a}}yes{{/if}}\nnext\n  {{#if a}} x\n{{/if}}\n", {
+    trimBlocks: true,
+  });
+  t.is(fn({ a: true }), "yes\nnext\n   x\n");
+});
+
+test("trimBlocks applies to else tags and interpolations keep their line", (t) => {
+  const fn = compile("{{#if a}}\nA\n{{:else}}\nB\n{{/if}}\n{{ a }}\n", {
+    trimBlocks: true,
+  });
+  t.is(fn({ a: 1 }), "A\n1\n");
+  t.is(fn({ a: 0 }), "B\n0\n");
+});
+
+test("comments render nothing", (t) => {
+  t.is(render("a{{! a note }}b", {}), "ab");
+  t.is(render("a{{!-- {{ x }} and }} --}}b", { x: 1 }), "ab");
+  t.is(render("a {{~! note ~}} b", {}), "ab");
+  t.is(render("a\n{{~!-- note --~}}\nb", {}), "ab");
+});
+
+test("comments can disable part of a template", (t) => {
+  const tmpl = "{{#if a}}A{{!-- {{:else}}B --}}{{/if}}";
+  t.is(render(tmpl, { a: true }), "A");
+  t.is(render(tmpl, {}), "");
+});
+
+test("comments inside blocks and loops", (t) => {
+  t.is(
+    render("{{#each xs as x}}{{! skip }}{{ x }}{{/each}}", { xs: [1, 2] }),
+    "12",
+  );
+});
+
+test("error on unclosed comment", (t) => {
+  t.is(render("a{{!-- note }}", {}), "a");
+  t.throws(() => strict("a{{!-- note }}", {}), {
+    message: /missing --\}\}/,
+  });
+});
+
+test("each loop over object entries", (t) => {
+  t.is(
+    render("{{#each counts as n, k}}{{ k }}={{ n }};{{/each}}", {
+      counts: { b: 2, a: 1, c: 3 },
+    }),
+    "b=2;a=1;c=3;",
+  );
+});
+
+test("each loop over object with else", (t) => {
+  t.is(
+    render("{{#each counts as n}}{{ n }}{{:else}}none{{/each}}", {
+      counts: {},
+    }),
+    "none",
+  );
+});
+
+test("each loop over object skips inherited properties", (t) => {
+  const counts = Object.create({ inherited: 1 });
+  counts.own = 2;
+  t.is(render("{{#each counts as n, k}}{{ k }}{{/each}}", { counts }), "own");
+});
+
+test("each loop metadata", (t) => {
+  const tmpl =
+    "{{#each xs as x}}{{ loop.index }}/{{ loop.length }}" +
+    "{{#if loop.first}} first{{/if}}{{#if loop.last}} last{{/if}}" +
+    "{{#if loop.odd}} odd{{/if}}{{#if loop.even}} even{{/if}};{{/each}}";
+  t.is(
+    render(tmpl, { xs: ["a", "b", "c"] }),
+    "1/3 first odd;2/3 even;3/3 last odd;",
+  );
+});
+
+test("each loop metadata over objects", (t) => {
+  t.is(
+    render(
+      "{{#each o as v, k}}{{ k }}{{#if not(loop.last)}}, {{/if}}{{/each}}",
+      {
+        o: { x: 1, y: 2 },
+      },
+    ),
+    "x, y",
+  );
+});
+
+test("each loop metadata exposes the parent loop", (t) => {
+  t.is(
+    render(
+      "{{#each rows as row}}{{#each row as cell}}{{ loop.parent.index }}.{{ loop.index }} {{/each}}{{/each}}",
+      { rows: [["a", "b"], ["c"]] },
+    ),
+    "1.1 1.2 2.1 ",
+  );
+  t.is(
+    render("{{#each xs as x}}[{{ loop.parent }}]{{/each}}", { xs: [1] }),
+    "[]",
+  );
+});
+
+test("each loop names shadow the loop variable", (t) => {
+  t.is(render("{{#each xs as loop}}{{ loop }}{{/each}}", { xs: [1, 2] }), "12");
+});
+
+test("a loop key in the data wins over loop metadata", (t) => {
+  t.is(
+    render("{{#each xs as x}}{{ loop }}{{ x }}{{/each}}", {
+      loop: "L",
+      xs: [1, 2],
+    }),
+    "L1L2",
+  );
+  t.is(
+    render(
+      "{{#each rows as row}}{{#each row as c}}{{ loop.index }}{{/each}}{{/each}}",
+      { rows: [["a", "b"]] },
+    ),
+    "12",
+  );
+});
+
 test("compile returns reusable template", (t) => {
   const template = compile("Hello {{ name }}!");
   t.is(template({ name: "World" }), "Hello World!");
@@ -745,14 +1958,598 @@ test("registerFunction can override built-in functions", (t) => {
 });
 
 // =============================================================================
-// Truthiness Edge Cases
+// Partials
 // =============================================================================
 
-test("zero is falsy", (t) => {
-  t.is(render("{{#if zero}}yes{{:else}}no{{/if}}", data), "no");
+test("partial renders with current scope", (t) => {
+  registerPartial("title", "<h1>{{ title }}</h1>");
+  t.is(render("{{> title}}", data), "<h1>Getting Started</h1>");
 });
 
-test("empty string is falsy", (t) => {
+test("partial accepts context argument", (t) => {
+  registerPartial("link", '<a href="{{ url }}">{{ title }}</a>');
+  t.is(
+    render(
+      "{{#each sub_results | limit(2) as sub}}{{> link sub}}{{/each}}",
+      data,
+    ),
+    '<a href="/docs/1/">Section 1</a><a href="/docs/2/">Section 2</a>',
+  );
+});
+
+test("partial accepts named params", (t) => {
+  registerPartial("card", '<div class="{{ size }}">{{ item.title }}</div>');
+  t.is(
+    render('{{> card item=post size="sm"}}', { post: { title: "Hi" } }),
+    '<div class="sm">Hi</div>',
+  );
+});
+
+test("partial named params layer over context argument", (t) => {
+  registerPartial("pair", "{{ a }}-{{ b }}");
+  t.is(render("{{> pair obj b=2}}", { obj: { a: 1, b: 1 } }), "1-2");
+});
+
+test("partial accepts compiled template", (t) => {
+  registerPartial("compiled", compile("[{{ x }}]"));
+  t.is(render("{{> compiled x=1}}", {}), "[1]");
+});
+
+test("partial is resolved at render time", (t) => {
+  const template = compile("{{> later}}");
+  registerPartial("later", "registered after");
+  t.is(template({}), "registered after");
+});
+
+test("recursive partial renders trees", (t) => {
+  registerPartial(
+    "comment",
+    "<li>{{ text }}{{#if replies}}<ul>{{#each replies as r}}{{> comment r}}{{/each}}</ul>{{/if}}</li>",
+  );
+  const comments = {
+    text: "a",
+    replies: [{ text: "b", replies: [{ text: "c" }] }, { text: "d" }],
+  };
+  t.is(
+    render("{{> comment c}}", { c: comments }),
+    "<li>a<ul><li>b<ul><li>c</li></ul></li><li>d</li></ul></li>",
+  );
+});
+
+test("error on runaway partial recursion", (t) => {
+  registerPartial("loop", "{{> loop}}");
+  t.is(render("{{> loop}}", {}), "[Error: partial depth exceeded]");
+});
+
+test("error on unknown partial", (t) => {
+  t.is(render("{{> nope}}", {}), "[Error: unknown partial nope]");
+  t.is(render("{{> constructor}}", {}), "[Error: unknown partial constructor]");
+});
+
+test("error on non-object partial context", (t) => {
+  registerPartial("ctx", "{{ x }}");
+  t.is(
+    render("{{> ctx title}}", data),
+    "[Error: partial context must be object]",
+  );
+});
+
+// =============================================================================
+// Layouts
+// =============================================================================
+
+registerPartial(
+  "base",
+  "<title>{{#block title}}Site{{/block}}</title><main>{{#block main}}{{/block}}</main>",
+);
+
+test("child overrides blocks of the base template", (t) => {
+  const page = compile(
+    '{{#extends "base"}}{{#block title}}{{ title }}{{/block}}{{#block main}}<p>{{ author }}</p>{{/block}}',
+  );
+  t.is(page(data), "<title>Getting Started</title><main><p>bglw</p></main>");
+});
+
+test("blocks not overridden keep the base content", (t) => {
+  t.is(
+    render('{{#extends "base"}}{{#block main}}body{{/block}}', {}),
+    "<title>Site</title><main>body</main>",
+  );
+});
+
+test("super() renders the parent block", (t) => {
+  t.is(
+    render(
+      '{{#extends "base"}}{{#block title}}{{ title }} | {{ super() }}{{/block}}',
+      data,
+    ),
+    "<title>Getting Started | Site</title><main></main>",
+  );
+});
+
+test("content outside blocks in a child is ignored", (t) => {
+  t.is(
+    render('{{#extends "base"}}ignored{{#block main}}x{{/block}}ignored', {}),
+    "<title>Site</title><main>x</main>",
+  );
+});
+
+test("layouts extend through several levels", (t) => {
+  registerPartial(
+    "section",
+    '{{#extends "base"}}{{#block title}}Docs - {{ super() }}{{/block}}{{#block main}}<nav></nav>{{#block content}}{{/block}}{{/block}}',
+  );
+  t.is(
+    render(
+      '{{#extends "section"}}{{#block title}}{{ title }} - {{ super() }}{{/block}}{{#block content}}{{ author }}{{/block}}',
+      data,
+    ),
+    "<title>Getting Started - Docs - Site</title><main><nav></nav>bglw</main>",
+  );
+});
+
+test("blocks render their body in templates without extends", (t) => {
+  t.is(render("a{{#block x}}b{{/block}}c", {}), "abc");
+});
+
+test("error on extending unknown template", (t) => {
+  t.is(render('{{#extends "nope"}}', {}), "[Error: unknown partial nope]");
+});
+
+// =============================================================================
+// Macros
+// =============================================================================
+
+const badge =
+  '{{#define badge(label, kind="info")}}<b class="{{ kind }}">{{ label }}</b>{{/define}}';
+
+test("macros render with positional args and defaults", (t) => {
+  t.is(
+    render(`${badge}{{ call badge("New") }}|{{ call badge(s, "warn") }}`, {
+      s: "Draft",
+    }),
+    '<b class="info">New</b>|<b class="warn">Draft</b>',
+  );
+});
+
+test("macros take named args", (t) => {
+  t.is(
+    render(`${badge}{{ call badge(kind="muted", label="Old") }}`, {}),
+    '<b class="muted">Old</b>',
+  );
+});
+
+test("macros only see their params and extra named values", (t) => {
+  t.is(
+    render(
+      '{{#define m(a)}}{{ a }}{{ title }}{{ extra }}{{/define}}{{ call m(1, extra="!") }}',
+      { title: "hidden" },
+    ),
+    "1!",
+  );
+});
+
+test("macros can be defined after use and call themselves", (t) => {
+  const root = {
+    name: "a",
+    children: [{ name: "b", children: [{ name: "c" }] }, { name: "d" }],
+  };
+  t.is(
+    render(
+      "{{ call tree(root) }}{{#define tree(n)}}{{ n.name }}{{#if n.children}}({{#each n.children as c}}{{ call tree(c) }}{{/each}}){{/if}}{{/define}}",
+      { root },
+    ),
+    "a(b(c)d)",
+  );
+});
+
+test("macros are imported from partials", (t) => {
+  registerPartial(
+    "ui",
+    '{{#define button(text, href="#")}}<a href="{{ href }}">{{ text }}</a>{{/define}}',
+  );
+  t.is(
+    render('{{#import "ui" as ui}}{{ call ui.button("Go", href="/go") }}', {}),
+    '<a href="/go">Go</a>',
+  );
+});
+
+test("macros and imports in a layout child work outside its blocks", (t) => {
+  const env = createEnvironment({
+    partials: {
+      base: "<main>{{#block main}}{{/block}}</main>",
+      ui: "{{#define em(x)}}<em>{{ x }}</em>{{/define}}",
+    },
+  });
+  const child =
+    '{{#extends "base"}}{{#define b(x)}}<b>{{ x }}</b>{{/define}}{{#import "ui" as ui}}{{#block main}}{{ call b("hi") }}{{ call ui.em("there") }}{{/block}}';
+  t.is(env.render(child, {}), "<main><b>hi</b><em>there</em></main>");
+  env.registerPartial("child", child);
+  t.is(
+    env.render(
+      '{{#extends "child"}}{{#block main}}{{ call b(1) }}{{/block}}',
+      {},
+    ),
+    "<main><b>1</b></main>",
+  );
+});
+
+test("error on unknown macros and imports", (t) => {
+  t.is(render("{{ call nope() }}", {}), "[Error: unknown macro nope]");
+  t.is(
+    render('{{#import "missing" as m}}{{ call m.x() }}', {}),
+    "[Error: unknown partial missing]",
+  );
+  const err = t.throws(() =>
+    compile("{{ call nope() }}", { strict: true })({}),
+  );
+  t.is(err.code, "UNKNOWN_MACRO");
+});
+
+test("macro recursion is limited by maxDepth", (t) => {
+  const err = t.throws(() =>
+    compile("{{#define f()}}{{ call f() }}{{/define}}{{ call f() }}", {
+      strict: true,
+      maxDepth: 5,
+    })({}),
+  );
+  t.is(err.code, "MACRO_DEPTH");
+});
+
+test("macros render async and streamed args", async (t) => {
+  const tmpl = `${badge}{{ call badge(v) }}`;
+  t.is(await renderAsync(tmpl, { v: later("x") }), '<b class="info">x</b>');
+  let out = "";
+  for await (const chunk of renderStream(tmpl, { v: later("x") })) out += chunk;
+  t.is(out, '<b class="info">x</b>');
+});
+
+test("macros escape contextually", (t) => {
+  t.is(
+    html(
+      '{{#define link(u)}}<a href="{{ u }}">{{ u }}</a>{{/define}}{{ call link(u) }}',
+      { u: "javascript:x" },
+    ),
+    '<a href="">javascript:x</a>',
+  );
+});
+
+test("macros print back to source", (t) => {
+  const src = `${badge}{{#import "ui" as ui}}{{ call badge(x, kind="warn") }}`;
+  t.is(print(parse(src)), src);
+});
+
+// =============================================================================
+// Custom Blocks
+// =============================================================================
+
+registerBlock("repeat", ([n], { body, params }) =>
+  safe(
+    Array.from({ length: Number(n) }, (_, i) =>
+      body({ i: i + (params.from ?? 0) }),
+    ).join(""),
+  ),
+);
+registerBlock("switch", ([v], { slots, else: other }) =>
+  (slots[String(v)] || other)(),
+);
+registerBlock("mark", async (_, { body }) =>
+  safe(`<mark>${await body()}</mark>`),
+);
+registerBlock("echo", ([v]) => v);
+
+test("custom blocks render their body with an extended scope", (t) => {
+  t.is(
+    render("{{#repeat n from=1}}{{ i }}{{ s }}{{/repeat}}", { n: 3, s: "<" }),
+    "1&lt;2&lt;3&lt;",
+  );
+});
+
+test("custom blocks escape what the handler returns unless it's safe", (t) => {
+  const x = "<img src=x onerror=alert(1)>";
+  t.is(
+    render("{{#echo x}}{{/echo}}", { x }),
+    "&lt;img src=x onerror=alert(1)&gt;",
+  );
+  t.is(render("{{#echo x}}{{/echo}}", { x: safe("<b>") }), "<b>");
+  t.is(render("{{#echo x}}{{/echo}}", { x }, { escape: "none" }), x);
+  t.is(render("{{#switch 1}}{{:else}}<b>{{/switch}}", {}), "<b>");
+});
+
+test("custom blocks render slots and else", (t) => {
+  const tmpl =
+    "{{#switch status}}{{:slot draft}}Draft{{:slot live}}Live{{:else}}Unknown{{/switch}}";
+  t.is(render(tmpl, { status: "live" }), "Live");
+  t.is(render(tmpl, { status: "draft" }), "Draft");
+  t.is(render(tmpl, { status: "gone" }), "Unknown");
+  t.is(render("{{#switch 1}}{{/switch}}", {}), "");
+});
+
+test("custom blocks nest like built-in blocks", (t) => {
+  t.is(
+    render(
+      "{{#repeat 2}}{{#repeat 2}}{{#if i}}a{{:else}}b{{/if}}{{/repeat}}{{/repeat}}",
+      {},
+    ),
+    "baba",
+  );
+  const code = (tmpl) => t.throws(() => compile(tmpl, { strict: true })).code;
+  t.is(code("{{#repeat 2}}x"), "UNCLOSED_BLOCK");
+  t.is(code("{{#if a}}{{:slot x}}{{/if}}"), "UNEXPECTED_TAG");
+  t.is(code("{{#switch a}}{{:slot}}{{/switch}}"), "MISSING_NAME");
+});
+
+test("custom blocks render async bodies", async (t) => {
+  const tmpl = "{{#mark}}a {{ word }}{{/mark}}";
+  const d = () => ({ word: later("<b>") });
+  t.is(await renderAsync(tmpl, d()), "<mark>a &lt;b&gt;</mark>");
+  t.is(
+    (await collect(renderStream(tmpl, d()))).join(""),
+    "<mark>a &lt;b&gt;</mark>",
+  );
+  t.is(render(tmpl, {}), "[Error: use renderAsync for promises]");
+});
+
+test("custom blocks are registered per environment", (t) => {
+  const env = createEnvironment({
+    blocks: { twice: (_, { body }) => safe(`${body()}${body()}`) },
+  });
+  t.is(env.render("{{#twice}}<a>{{/twice}}", {}), "<a><a>");
+  t.is(render("{{#twice}}<a>{{/twice}}", {}), "[Error: unknown #twice]<a>");
+});
+
+test("custom blocks keep the HTML context with contextual", (t) => {
+  t.is(
+    html('<a href="{{#repeat 1}}">{{/repeat}}', {}),
+    '<a href="">[Error: #repeat body changes the HTML context]',
+  );
+});
+
+test("custom blocks print back to source", (t) => {
+  const src =
+    '{{#repeat 2 sep=", "}}x{{/repeat}}{{#switch a}}{{:slot b}}c{{:else}}d{{/switch}}';
+  t.is(print(parse(src)), src);
+});
+
+// =============================================================================
+// Streaming
+// =============================================================================
+
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+};
+
+test("renderStream yields chunks at block boundaries", async (t) => {
+  t.deepEqual(
+    await collect(
+      renderStream(
+        "<ul>{{#each tags as tag}}<li>{{ tag }}</li>{{/each}}</ul>{{#if author}}by {{ author }}{{/if}}",
+        data,
+      ),
+    ),
+    [
+      "<ul>",
+      "<li>search</li>",
+      "<li>static-site</li>",
+      "<li>tutorial</li>",
+      "</ul>",
+      "by bglw",
+    ],
+  );
+});
+
+test("renderStream output matches render", async (t) => {
+  registerPartial("stream_item", "<b>{{ title }}</b>");
+  const tmpl =
+    "{{#each sub_results as s}}{{> stream_item s}}{{:else}}none{{/each}}{{#if zero}}x{{:else}}y{{/if}}";
+  t.is((await collect(renderStream(tmpl, data))).join(""), render(tmpl, data));
+});
+
+test("renderStream yields before later items resolve", async (t) => {
+  const it = renderStream("{{#each items as i}}{{ i }}{{/each}}", {
+    items: ["first", new Promise(() => {})],
+  })[Symbol.asyncIterator]();
+  t.deepEqual(await it.next(), { value: "first", done: false });
+  await it.return();
+});
+
+test("renderStream awaits promises in data", async (t) => {
+  t.deepEqual(await collect(renderStream("{{ a }}", { a: later("x") })), ["x"]);
+});
+
+test("renderStream converts to a ReadableStream", async (t) => {
+  const stream = renderStream("{{#each tags as tag}}{{ tag }} {{/each}}", data);
+  const body = stream.toReadableStream();
+  t.true(body instanceof ReadableStream);
+  t.is(await new Response(body).text(), "search static-site tutorial ");
+});
+
+test("renderStream rejects on strict errors", async (t) => {
+  await t.throwsAsync(
+    collect(
+      renderStream(
+        "ok{{#if a}}{{ nope() }}{{/if}}",
+        { a: 1 },
+        { strict: true },
+      ),
+    ),
+    {
+      instanceOf: TemplateError,
+      code: "UNKNOWN_FUNCTION",
+    },
+  );
+});
+
+// =============================================================================
+// Environments
+// =============================================================================
+
+test("environment inherits built-in functions", (t) => {
+  const env = createEnvironment();
+  t.is(env.render("{{ title | uppercase }}", data), "GETTING STARTED");
+});
+
+test("environment registers functions and partials from config", (t) => {
+  const env = createEnvironment({
+    functions: { triple: (n) => n * 3 },
+    partials: { num: "<{{ triple(n) }}>" },
+  });
+  t.is(env.render("{{> num n=2}}", {}), "<6>");
+});
+
+test("environment registries are isolated", (t) => {
+  const a = createEnvironment();
+  const b = createEnvironment();
+  a.registerFunction("truncate", () => "overridden");
+  a.registerPartial("only_a", "a");
+  t.is(a.render("{{ truncate(title, 3) }}", data), "overridden");
+  t.is(b.render("{{ truncate(title, 3) }}", data), "Get...");
+  t.is(render("{{ truncate(title, 3) }}", data), "Get...");
+  t.is(b.render("{{> only_a}}", {}), "[Error: unknown partial only_a]");
+});
+
+test("environment does not see default registry", (t) => {
+  registerFunction("global_only", () => "global");
+  const env = createEnvironment();
+  t.is(env.render("{{ global_only() }}", {}), "[Error: unknown global_only()]");
+});
+
+test("environment can exclude built-ins", (t) => {
+  const env = createEnvironment({ exclude: ["safeUrl"] });
+  t.is(env.render("{{ safeUrl(url) }}", data), "[Error: unknown safeUrl()]");
+  t.is(env.render("{{ trim(' x ') }}", {}), "x");
+});
+
+test("environment options apply to its templates", (t) => {
+  const env = createEnvironment({ options: { maxDepth: 2 } });
+  env.registerPartial("deep", "+{{> deep}}");
+  t.is(env.render("{{> deep}}", {}), "++[Error: partial depth exceeded]");
+});
+
+test("compile options override environment options", (t) => {
+  const env = createEnvironment({ partials: { p: "partial" } });
+  t.is(env.render("{{> p}}", {}), "partial");
+  t.is(
+    env.render("{{> p}}", {}, { maxDepth: 0 }),
+    "[Error: partial depth exceeded]",
+  );
+});
+
+// =============================================================================
+// Async Rendering
+// =============================================================================
+
+const later = (value, ms = 5) =>
+  new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+test("renderAsync renders like render", async (t) => {
+  t.is(
+    await renderAsync(
+      "{{#each tags | limit(2) as tag}}{{ tag }},{{/each}}",
+      data,
+    ),
+    render("{{#each tags | limit(2) as tag}}{{ tag }},{{/each}}", data),
+  );
+});
+
+test("renderAsync awaits promises in data", async (t) => {
+  const d = { user: later({ name: "Ada", langs: later(["en", "fr"]) }) };
+  t.is(
+    await renderAsync(
+      "{{ user.name }}:{{#each user.langs as l}} {{ l | uppercase }}{{/each}}",
+      d,
+    ),
+    "Ada: EN FR",
+  );
+});
+
+test("renderAsync awaits async functions", async (t) => {
+  const env = createEnvironment({
+    functions: { lookup: async (k) => later(`<${k}>`) },
+  });
+  t.is(await env.renderAsync("{{ lookup('a') | uppercase }}", {}), "&lt;A&gt;");
+  t.is(
+    await env.renderAsync("{{ lookup(later) }}", { later: later("b") }),
+    "&lt;b&gt;",
+  );
+});
+
+test("renderAsync resolves independent interpolations concurrently", async (t) => {
+  let active = 0,
+    peak = 0;
+  const env = createEnvironment({
+    functions: {
+      slow: async (v, ms) => {
+        peak = Math.max(peak, ++active);
+        await later(null, ms);
+        active--;
+        return v;
+      },
+    },
+  });
+  const out = await env.renderAsync(
+    "{{ slow('a', 20) }}{{#each items as i}}{{ slow(i, 5) }}{{/each}}{{ slow('z', 1) }}",
+    { items: [1, 2, 3] },
+  );
+  t.is(out, "a123z");
+  t.is(peak, 5);
+});
+
+test("renderAsync keeps and/or short-circuiting", async (t) => {
+  let calls = 0;
+  const env = createEnvironment({
+    functions: { count: async () => (calls++, true) },
+  });
+  t.is(
+    await env.renderAsync("{{ or(a, count()) }}{{ and(b, count()) }}", {
+      a: 1,
+      b: 0,
+    }),
+    "10",
+  );
+  t.is(calls, 0);
+});
+
+test("renderAsync renders partials", async (t) => {
+  const env = createEnvironment({ partials: { p: "[{{ v }}]" } });
+  t.is(await env.renderAsync("{{> p v=x}}", { x: later("async") }), "[async]");
+});
+
+test("compileAsync returns a reusable async template", async (t) => {
+  const template = compileAsync("Hello {{ name }}!");
+  t.is(await template({ name: later("World") }), "Hello World!");
+  t.is(await template({ name: "Again" }), "Hello Again!");
+});
+
+test("renderAsync reports errors like render", async (t) => {
+  t.is(await renderAsync("{{ nope() }}", {}), "[Error: unknown nope()]");
+  await t.throwsAsync(
+    renderAsync("{{ x }}", { x: later([]) }, { strict: true }),
+    {
+      instanceOf: TemplateError,
+      code: "ARRAY_OUTPUT",
+    },
+  );
+});
+
+test("error on promise in synchronous render", (t) => {
+  t.is(
+    render("{{ x }}", { x: Promise.resolve(1) }),
+    "[Error: use renderAsync for promises]",
+  );
+});
+
+// =============================================================================
+// Truthiness Edge Cases
+// =============================================================================
+
+test("zero is falsy", (t) => {
+  t.is(render("{{#if zero}}yes{{:else}}no{{/if}}", data), "no");
+});
+
+test("empty string is falsy", (t) => {
   t.is(render("{{#if empty_string}}yes{{:else}}no{{/if}}", data), "no");
 });
 
@@ -859,6 +2656,612 @@ test("missing function args - join", (t) => {
   );
 });
 
+test("async and streamed each loops over objects", async (t) => {
+  const tmpl = "{{#each o as v, k}}{{ loop.index }}{{ k }}{{ v }}{{/each}}";
+  const data = { o: { a: later(1), b: 2 } };
+  t.is(await renderAsync(tmpl, data), "1a12b2");
+  t.is((await collect(renderStream(tmpl, data))).join(""), "1a12b2");
+});
+
+// =============================================================================
+// Strict Mode
+// =============================================================================
+
+const strict = (tmpl, data = {}) => render(tmpl, data, { strict: true });
+
+test("strict mode renders valid templates", (t) => {
+  t.is(
+    strict("{{#each tags as tag}}{{ tag }} {{/each}}", data),
+    "search static-site tutorial ",
+  );
+});
+
+test("strict mode throws TemplateError with location", (t) => {
+  const e = t.throws(() => strict("line one\n  {{ foo() }}"), {
+    instanceOf: TemplateError,
+  });
+  t.is(e.code, "UNKNOWN_FUNCTION");
+  t.is(e.line, 2);
+  t.is(e.column, 6);
+  t.is(e.excerpt, "  {{ foo() }}\n     ^");
+  t.is(e.message, "unknown foo() (line 2, column 6)");
+});
+
+test("strict mode throws on runtime errors", (t) => {
+  const code = (tmpl, d = data) =>
+    t.throws(() => strict(tmpl, d), { instanceOf: TemplateError }).code;
+  t.is(code("{{ tags }}"), "ARRAY_OUTPUT");
+  t.is(code("{{ nested }}"), "OBJECT_OUTPUT");
+  t.is(code("{{#each title as x}}{{/each}}"), "EACH_NOT_ARRAY");
+  t.is(code("{{> nope}}"), "UNKNOWN_PARTIAL");
+});
+
+test("strict mode throws on missing args at the call", (t) => {
+  const e = t.throws(() => strict("{{ title | lowercase | truncate }}", data), {
+    instanceOf: TemplateError,
+  });
+  t.is(e.code, "MISSING_ARGS");
+  t.is(e.message, "truncate() needs 2 args (line 1, column 24)");
+});
+
+test("strict mode throws on parse problems", (t) => {
+  const code = (tmpl) =>
+    t.throws(() => compile(tmpl, { strict: true }), {
+      instanceOf: TemplateError,
+    }).code;
+  t.is(code("{{#unknown}}"), "UNKNOWN_BLOCK");
+  t.is(code("{{#each items}}{{/each}}"), "MISSING_AS");
+  t.is(code('{{ "hello }}'), "UNCLOSED_STRING");
+  t.is(code("{{#if a}}yes"), "UNCLOSED_BLOCK");
+  t.is(code("{{#each a as b}}yes"), "UNCLOSED_BLOCK");
+  t.is(code("{{ eq(1, 2 }}"), "UNCLOSED_PAREN");
+  t.is(code("Hello {{ name"), "UNCLOSED_TAG");
+  t.is(code("{{ a b }}"), "UNEXPECTED_TOKEN");
+  t.is(code("a{{/if}}"), "UNEXPECTED_TAG");
+  t.is(code("{{:else}}"), "UNEXPECTED_TAG");
+});
+
+test("strict mode reports unclosed blocks at the opening tag", (t) => {
+  const e = t.throws(() => compile("a\n{{#if a}}\nb", { strict: true }));
+  t.is(e.message, "missing {{/if}} (line 2, column 1)");
+});
+
+test("strict mode locates errors inside partials and layouts", (t) => {
+  const env = createEnvironment({
+    options: { strict: true },
+    partials: {
+      bad: "\n{{ nope() }}",
+      shell: "<{{#block a}}{{/block}}>{{ foo }}",
+    },
+  });
+  let e = t.throws(() => env.render("{{> bad}}", {}));
+  t.is(e.line, 2);
+  e = t.throws(() =>
+    env.render('{{#extends "shell"}}{{#block a}}{{ x() }}{{/block}}', {
+      foo: [],
+    }),
+  );
+  t.is(e.code, "UNKNOWN_FUNCTION");
+  t.is(e.column, 36);
+  e = t.throws(() =>
+    env.render('{{#extends "shell"}}{{#block a}}{{ super() }}{{/block}}', {
+      foo: [],
+    }),
+  );
+  t.is(e.code, "ARRAY_OUTPUT");
+  t.is(e.column, 28);
+});
+
+test("non-strict mode keeps rendering inline errors", (t) => {
+  t.is(render("{{ foo() }}", {}), "[Error: unknown foo()]");
+  t.is(render("{{#if a}}yes", { a: 1 }), "yes");
+});
+
+// =============================================================================
+// Resource Limits
+// =============================================================================
+
+const nums = Array.from({ length: 100 }, (_, i) => i);
+const limited = (tmpl, limits, data = { nums }) =>
+  render(tmpl, data, { limits });
+
+test("iterations limit counts across nested loops", (t) => {
+  const tmpl = "{{#each nums as a}}{{#each nums as b}}.{{/each}}{{/each}}";
+  t.is(limited(tmpl, { iterations: 10100 }).length, 10000);
+  const e = t.throws(() => limited(tmpl, { iterations: 1000 }), {
+    instanceOf: TemplateError,
+  });
+  t.is(e.code, "ITERATION_LIMIT");
+  t.is(e.message, "iteration limit exceeded (line 1, column 20)");
+});
+
+test("range longer than the iterations limit aborts before allocating", (t) => {
+  t.is(
+    t.throws(() =>
+      limited("{{ range(1000000000) | length }}", { iterations: 1000 }),
+    ).code,
+    "ITERATION_LIMIT",
+  );
+  t.is(limited("{{ range(10) | length }}", { iterations: 10 }), "10");
+});
+
+test("output limit", (t) => {
+  const tmpl = "{{#each nums as n}}{{ n }},{{/each}}";
+  t.is(limited(tmpl, { output: 290 }).length, 290);
+  t.is(t.throws(() => limited(tmpl, { output: 289 })).code, "OUTPUT_LIMIT");
+});
+
+test("output limit counts what custom blocks return", async (t) => {
+  const env = createEnvironment({
+    blocks: { pad: () => "x".repeat(1000) },
+    options: { limits: { output: 10 } },
+  });
+  const code = (f) => t.throws(f, { instanceOf: TemplateError }).code;
+  t.is(
+    code(() => env.render("{{#pad}}{{/pad}}", {})),
+    "OUTPUT_LIMIT",
+  );
+  const e = await t.throwsAsync(env.renderAsync("{{#pad}}{{/pad}}", {}));
+  t.is(e.code, "OUTPUT_LIMIT");
+  const stream = env.renderStream("{{#pad}}{{/pad}}", {});
+  t.is((await t.throwsAsync(collect(stream))).code, "OUTPUT_LIMIT");
+});
+
+test("evaluations limit", (t) => {
+  t.is(limited("{{ a + b }}", { evaluations: 3 }, { a: 1, b: 2 }), "3");
+  t.is(
+    t.throws(() => limited("{{ a + b + c }}", { evaluations: 3 }, {})).code,
+    "EVALUATION_LIMIT",
+  );
+});
+
+test("depth limit counts blocks, loops and partials", (t) => {
+  const tmpl = "{{#if 1}}{{#each nums as n}}{{#if 1}}x{{/if}}{{/each}}{{/if}}";
+  t.is(limited(tmpl, { depth: 4 }, { nums: [1] }), "x");
+  const e = t.throws(() => limited(tmpl, { depth: 3 }, { nums: [1] }));
+  t.is(e.code, "DEPTH_LIMIT");
+  t.is(e.column, 38);
+  const env = createEnvironment({ partials: { me: "{{> me}}" } });
+  t.is(
+    t.throws(() => env.render("{{> me}}", {}, { limits: { depth: 20 } })).code,
+    "DEPTH_LIMIT",
+  );
+});
+
+test("time limit", (t) => {
+  const tmpl =
+    "{{#each nums as a}}{{#each nums as b}}{{#each nums as c}}{{ a + b + c }}{{/each}}{{/each}}{{/each}}";
+  t.is(t.throws(() => limited(tmpl, { time: 10 })).code, "TIME_LIMIT");
+});
+
+test("time limit stops waiting on async functions", async (t) => {
+  const env = createEnvironment({
+    functions: { slow: () => later("done", 500) },
+  });
+  const e = await t.throwsAsync(
+    env.renderAsync("{{ slow() }}", {}, { limits: { time: 20 } }),
+  );
+  t.is(e.code, "TIME_LIMIT");
+  t.is(
+    await env.renderAsync("{{ slow() }}", {}, { limits: { time: 1000 } }),
+    "done",
+  );
+});
+
+test("size and nesting limits apply when compiling", (t) => {
+  const big = t.throws(() =>
+    compile("x".repeat(100), { limits: { size: 99 } }),
+  );
+  t.is(big.code, "SIZE_LIMIT");
+  t.is(big.column, 100);
+  t.is(limited("{{ ((1)) }}", { nesting: 4 }), "1");
+  const e = t.throws(() =>
+    compile("{{ ((((1)))) }}", { limits: { nesting: 4 } }),
+  );
+  t.is(e.code, "NESTING_LIMIT");
+  t.is(e.column, 7);
+  const blocks = "{{#if 1}}".repeat(5000) + "{{/if}}".repeat(5000);
+  t.is(
+    t.throws(() => compile(blocks, { limits: { nesting: 100 } })).code,
+    "NESTING_LIMIT",
+  );
+});
+
+test("limits abort regardless of strict mode", (t) => {
+  const tmpl = "{{#each nums as n}}{{ nope() }}{{/each}}";
+  const out = limited(tmpl, { iterations: 200 });
+  t.true(out.startsWith("[Error: unknown nope()]"));
+  t.is(
+    t.throws(() => limited(tmpl, { iterations: 2 })).code,
+    "ITERATION_LIMIT",
+  );
+});
+
+test("inline mode renders the error instead of the output", async (t) => {
+  const limits = { iterations: 5, mode: "inline" };
+  const tmpl = "{{#each nums as n}}{{ n }},{{/each}}";
+  t.is(
+    limited(tmpl, limits),
+    "[Error: iteration limit exceeded (line 1, column 1)]",
+  );
+  t.is(
+    await renderAsync(tmpl, { nums }, { limits }),
+    "[Error: iteration limit exceeded (line 1, column 1)]",
+  );
+  t.is(
+    (await collect(renderStream(tmpl, { nums }, { limits }))).join(""),
+    "0,1,2,3,4,[Error: iteration limit exceeded (line 1, column 1)]",
+  );
+  t.is(
+    render("x".repeat(10), {}, { limits: { size: 5, mode: "inline" } }),
+    "[Error: size limit exceeded (line 1, column 6)]",
+  );
+});
+
+test("limits on an environment apply to every render", (t) => {
+  const env = createEnvironment({ options: { limits: { output: 5 } } });
+  t.is(env.render("{{ s }}", { s: "abcde" }), "abcde");
+  t.is(
+    t.throws(() => env.render("{{ s }}", { s: "abcdef" })).code,
+    "OUTPUT_LIMIT",
+  );
+});
+
+// =============================================================================
+// Sandboxing
+// =============================================================================
+
+const sandbox = () =>
+  createEnvironment({
+    functions: {
+      secret: () => "s3cret",
+      push: (xs) => xs.push(9),
+      rename: (user) => ((user.name = "Mallory"), "done"),
+    },
+    partials: { leak: "{{ secret() }}" },
+  });
+
+test("functions allowlist fails at compile time", (t) => {
+  const env = sandbox();
+  const options = { functions: { allow: ["uppercase"] } };
+  const fn = env.compile("{{ name | uppercase }}", options);
+  t.is(fn({ name: "ann" }), "ANN");
+  const e = t.throws(
+    () => env.compile("{{ name | uppercase }}\n{{ secret() }}", options),
+    { instanceOf: TemplateError },
+  );
+  t.is(e.code, "FORBIDDEN_FUNCTION");
+  t.is(e.message, "secret() is not allowed (line 2, column 4)");
+});
+
+test("functions denylist", (t) => {
+  const env = sandbox();
+  const options = { functions: { deny: ["secret"] } };
+  t.is(env.render("{{ uppercase('a') }}", {}, options), "A");
+  t.is(
+    t.throws(() => env.render("{{ x | trim | secret }}", {}, options)).column,
+    15,
+  );
+});
+
+test("functions option also applies to partials and layouts", (t) => {
+  const env = sandbox();
+  const options = { functions: { deny: ["secret"] } };
+  t.is(
+    env.render("{{> leak}}", {}, options),
+    "[Error: secret() is not allowed]",
+  );
+  t.is(
+    t.throws(() => env.render("{{> leak}}", {}, { ...options, strict: true }))
+      .code,
+    "FORBIDDEN_FUNCTION",
+  );
+  env.registerPartial("base", "<title>{{ secret() }}</title>");
+  t.is(
+    t.throws(() => env.compile('{{#extends "base"}}', options)).code,
+    "FORBIDDEN_FUNCTION",
+  );
+});
+
+test("paths option narrows the data a template sees", (t) => {
+  const data = {
+    user: { name: "Ann", password: "hunter2" },
+    posts: [{ title: "Hi" }],
+    admin: true,
+  };
+  const tmpl =
+    "{{ user.name }}|{{ user.password }}|{{ admin }}|{{#each posts as p}}{{ p.title }}{{/each}}";
+  t.is(render(tmpl, data, { paths: ["user.name", "posts"] }), "Ann|||Hi");
+  t.is(
+    render(tmpl, data, { paths: ["user", "user.name"] }),
+    "Ann|hunter2||[Error: #each needs array]",
+  );
+  t.is(render("{{ user['password'] }}", data, { paths: ["user.name"] }), "");
+  t.is(data.user.password, "hunter2");
+});
+
+test("readOnly option keeps functions from changing the data", (t) => {
+  const env = sandbox();
+  const data = { xs: [1, 2], user: { name: "Ann" } };
+  t.throws(() => env.render("{{ push(xs) }}", data, { readOnly: true }), {
+    instanceOf: TypeError,
+    message: "template data is read-only",
+  });
+  t.throws(() => env.render("{{ rename(user) }}", data, { readOnly: true }), {
+    instanceOf: TypeError,
+  });
+  t.deepEqual(data, { xs: [1, 2], user: { name: "Ann" } });
+  t.is(env.render("{{ rename(user) }}", data), "done");
+  t.is(data.user.name, "Mallory");
+});
+
+test("readOnly data still renders and iterates", (t) => {
+  const data = {
+    xs: [3, 1, 2],
+    when: new Date(0),
+    user: { name: "Ann", tags: ["a", "b"] },
+  };
+  data.people = [data.user, data.user];
+  t.is(
+    render(
+      "{{#each xs as x}}{{ x }}{{/each}} {{ xs | sort | join(',') }} {{ user.tags | join('') }} {{ date(when, 'yyyy') }} {{ uniq(people) | length }}",
+      data,
+      { readOnly: true, timeZone: "UTC" },
+    ),
+    "312 1,2,3 ab 1970 1",
+  );
+});
+
+test("readOnly renders frozen data", (t) => {
+  const xs = Object.freeze([1, 2]);
+  const data = Object.freeze({ a: Object.freeze({ b: 1 }), xs });
+  const tmpl =
+    "{{ a.b }} {{#each xs as x}}{{ x }}{{/each}} {{ xs | sort | join(',') }}";
+  t.is(render(tmpl, data, { readOnly: true }), "1 12 1,2");
+  const partly = { a: {} };
+  Object.defineProperty(partly.a, "b", { value: { c: 2 }, enumerable: true });
+  t.is(render("{{ a.b.c }}", partly, { readOnly: true }), "2");
+});
+
+// =============================================================================
+// Parse & Print
+// =============================================================================
+
+test("parse returns a versioned AST", (t) => {
+  const ast = parse("Hi {{ name }}");
+  t.is(ast.version, AST_VERSION);
+  t.deepEqual(ast.body, [
+    { t: "T", val: "Hi ", start: 0, end: 3, line: 1, column: 1 },
+    {
+      t: "I",
+      expr: { t: "V", path: ["name"], start: 6, end: 10, line: 1, column: 7 },
+      start: 3,
+      end: 13,
+      line: 1,
+      column: 4,
+    },
+  ]);
+});
+
+test("parse annotates nested nodes and expressions", (t) => {
+  const [each] = parse(
+    "{{#each items as item}}\n  {{ item | truncate(5) }}{{/each}}",
+  ).body;
+  t.is(each.t, "E");
+  t.like(each, { start: 0, end: 59, line: 1, column: 1 });
+  const [, interp] = each.body;
+  t.like(interp, { t: "I", start: 26, line: 2, column: 3 });
+  t.like(interp.expr, { t: "P", fn: "truncate", start: 29, end: 47, at: 36 });
+  t.like(interp.expr.left, { t: "V", start: 29, end: 33 });
+  t.like(interp.expr.args[0], { t: "L", val: 5, line: 2, column: 22 });
+});
+
+test("parse in strict mode throws TemplateError", (t) => {
+  t.notThrows(() => parse("{{#if a}}"));
+  t.throws(() => parse("{{#if a}}", { strict: true }), {
+    instanceOf: TemplateError,
+  });
+});
+
+test("print round-trips templates", (t) => {
+  const source =
+    '{{#extends "base"}}{{#block main}}<p>{{ title | truncate(10, "\\n") }}</p>' +
+    "{{#if eq(a, 1)}}one{{:else if b}}two{{:else}}many{{/if}}" +
+    "{{#each items as item, i}}{{+ item +}}{{:else}}none{{/each}}" +
+    '{{> card item size="sm"}}\\{{ literal{{/block}}';
+  t.is(print(parse(source)), source);
+});
+
+test("parse keeps comments", (t) => {
+  const { body } = parse("a{{! x }}{{!-- y }} --}}");
+  t.like(body[1], { t: "M", val: " x ", start: 1, end: 9 });
+  t.like(body[2], { t: "M", val: " y }} ", long: 1, start: 9, end: 24 });
+  t.is(print(parse("a{{! x }}{{!-- y }} --}}")), "a{{! x }}{{!-- y }} --}}");
+});
+
+test("print member access", (t) => {
+  const source =
+    '{{ items[0].title }}{{ map["og:image"] }}{{ (xs | last).a }}{{ m[k] }}';
+  t.is(print(parse(source)), source);
+});
+
+test("print operators with the parentheses they need", (t) => {
+  for (const source of [
+    "{{ a + b * c }}",
+    "{{ (a + b) * c }}",
+    "{{ a - (b - c) }}",
+    "{{ !(a && b) || c }}",
+    "{{ (a ? b : c) ? d : e }}",
+    "{{ a ? b : c ? d : e }}",
+    "{{ (a + b) | f }}",
+    "{{ (a | f).b }}",
+  ])
+    t.is(print(parse(source)), source);
+});
+
+test("print normalizes whitespace inside tags", (t) => {
+  t.is(
+    print(parse("{{title|lowercase}} {{#if  a }}x{{/if}}")),
+    "{{ title | lowercase }} {{#if a}}x{{/if}}",
+  );
+});
+
+test("printed templates render the same", (t) => {
+  const source = "{{#each sub_results | limit(2) as s}}{{ s.title }},{{/each}}";
+  t.is(render(print(parse(source)), data), render(source, data));
+});
+
+test("print accepts modified ASTs and node lists", (t) => {
+  const ast = parse("{{ title }}");
+  ast.body[0].expr.path = ["heading"];
+  t.is(print(ast), "{{ heading }}");
+  t.is(print(ast.body), "{{ heading }}");
+});
+
+test("print rejects unknown AST versions", (t) => {
+  t.throws(() => print({ version: 999, body: [] }));
+});
+
+// =============================================================================
+// Precompiling
+// =============================================================================
+
+test("precompile emits versioned JSON that hydrate renders", (t) => {
+  const tmpl =
+    "{{#define b(x)}}<b>{{ x }}</b>{{/define}}{{#each tags as tag}}{{ call b(tag) }}{{/each}} {{ title | uppercase }}";
+  const pre = precompile(tmpl);
+  const parsed = JSON.parse(pre);
+  t.is(parsed.version, AST_VERSION);
+  t.is(parsed.src, tmpl);
+  const d = { tags: ["a", "<"], title: "Hi" };
+  t.is(hydrate(pre)(d), compile(tmpl)(d));
+  t.is(hydrate(parsed)(d), "<b>a</b><b>&lt;</b> HI");
+});
+
+test("precompile applies compile options and resolves layouts", (t) => {
+  registerPartial("page", "<main>{{#block main}}{{/block}}</main>");
+  const page = precompile(
+    '[[#extends "page"]][[#block main]]<a href="[[ u ]]">x</a>[[/block]]',
+    { contextual: true, delimiters: ["[[", "]]"] },
+  );
+  t.is(hydrate(page)({ u: "javascript:x" }), '<main><a href="">x</a></main>');
+});
+
+test("hydrate takes render options", (t) => {
+  const pre = precompile("x\n{{ nope() }}");
+  t.is(hydrate(pre)({}), "x\n[Error: unknown nope()]");
+  const err = t.throws(() => hydrate(pre, { strict: true })({}));
+  t.is(err.code, "UNKNOWN_FUNCTION");
+  t.is(err.line, 2);
+  t.is(hydrate(precompile("{{ s }}"), { escape: "none" })({ s: "<" }), "<");
+});
+
+test("hydrated templates can be registered as partials", (t) => {
+  registerPartial(
+    "ui-pre",
+    hydrate(precompile("{{#define m(x)}}[{{ x }}]{{/define}}<{{ y }}>")),
+  );
+  t.is(
+    render('{{#import "ui-pre" as ui}}{{ call ui.m(1) }}{{> ui-pre y=2}}', {}),
+    "[1]<2>",
+  );
+});
+
+test("hydrate rejects other versions", (t) => {
+  const pre = { ...JSON.parse(precompile("x")), version: AST_VERSION + 1 };
+  t.throws(() => hydrate(pre), { message: /version/ });
+});
+
+// =============================================================================
+// Validation
+// =============================================================================
+
+// A fresh environment, as other tests override built-ins in the default one
+const codes = (source, options) =>
+  createEnvironment()
+    .validate(source, options)
+    .map((d) => d.code);
+
+test("validate accepts valid templates", (t) => {
+  t.deepEqual(
+    validate("{{#if eq(a, 1)}}{{ title | truncate(5) }}{{:else}}x{{/if}}"),
+    [],
+  );
+});
+
+test("validate reports diagnostics with positions", (t) => {
+  t.deepEqual(validate("<p>\n  {{ nope(x) }}</p>"), [
+    {
+      severity: "error",
+      code: "UNKNOWN_FUNCTION",
+      message: "unknown nope()",
+      start: 9,
+      end: 16,
+      line: 2,
+      column: 6,
+    },
+  ]);
+});
+
+test("validate checks built-in argument counts", (t) => {
+  t.deepEqual(codes("{{ eq(a) }}{{ a | replace('x') }}{{ a | join(', ') }}"), [
+    "MISSING_ARGS",
+    "MISSING_ARGS",
+  ]);
+});
+
+test("validate doesn't know functions from the prototype", (t) => {
+  t.deepEqual(codes("{{ toString() }}{{ a | constructor }}"), [
+    "UNKNOWN_FUNCTION",
+    "UNKNOWN_FUNCTION",
+  ]);
+});
+
+test("validate checks functions against an allowlist", (t) => {
+  t.deepEqual(
+    codes("{{ lowercase(a) }}{{ uppercase(a) }}", { functions: ["lowercase"] }),
+    ["UNKNOWN_FUNCTION"],
+  );
+});
+
+test("validate uses the environment registry", (t) => {
+  const env = createEnvironment({
+    functions: { custom: () => 1, eq: () => 1 },
+  });
+  t.deepEqual(env.validate("{{ custom() }}{{ eq() }}"), []);
+  t.deepEqual(codes("{{ custom() }}"), ["UNKNOWN_FUNCTION"]);
+});
+
+test("validate reports block problems", (t) => {
+  t.deepEqual(codes("{{#if a}}x"), ["UNCLOSED_BLOCK"]);
+  t.deepEqual(codes("{{#if a}}x{{/each}}"), [
+    "UNCLOSED_BLOCK",
+    "UNEXPECTED_TAG",
+  ]);
+  t.deepEqual(codes("a{{:else}}b"), ["UNEXPECTED_TAG"]);
+  t.deepEqual(codes("{{#each items}}{{ x }}"), ["MISSING_AS"]);
+});
+
+test("validate reports unterminated strings", (t) => {
+  t.deepEqual(codes('{{ "abc }}'), ["UNCLOSED_STRING", "UNCLOSED_TAG"]);
+});
+
+test("validate warns about stray closing delimiters", (t) => {
+  const [d] = validate("a }} b");
+  t.is(d.severity, "warning");
+  t.is(d.code, "STRAY_DELIMITER");
+  t.is(d.column, 3);
+  t.notThrows(() => render("a }} b", {}, { strict: true }));
+});
+
+test("validate allows super() inside blocks", (t) => {
+  t.deepEqual(
+    codes('{{#extends "base"}}{{#block a}}{{ super() }}{{/block}}'),
+    [],
+  );
+  t.deepEqual(codes("{{ super() }}"), ["UNKNOWN_FUNCTION"]);
+});
+
 // =============================================================================
 // Parser Edge Cases
 // =============================================================================